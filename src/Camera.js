@@ -1,12 +1,7 @@
-import {
-    BOUNDARY_HALF_X,
-    BOUNDARY_MIN_Y,
-    BOUNDARY_MAX_Y,
-    BOUNDARY_HALF_Z,
-    GAME_SCALE,
-} from "./FlockingSystem.js";
+import { GAME_SCALE } from "./FlockingSystem.js";
 
 import * as THREE from 'three';
+import { worldBounds } from './WorldBounds.js';
 
 export class CameraController {
     constructor(canvas) {
@@ -234,9 +229,11 @@ export class CameraController {
 
         // Clamp within game boundaries with floor offset
         const EXTRA_BUFFER_FOR_CAMERA_TO_NOT_GO_INSIDE_FLOOR = 0.5 * GAME_SCALE;
-        this.camera.position.x = Math.max(-BOUNDARY_HALF_X, Math.min(BOUNDARY_HALF_X, this.camera.position.x));
-        this.camera.position.y = Math.max(BOUNDARY_MIN_Y + EXTRA_BUFFER_FOR_CAMERA_TO_NOT_GO_INSIDE_FLOOR, Math.min(BOUNDARY_MAX_Y, this.camera.position.y));
-        this.camera.position.z = Math.max(-BOUNDARY_HALF_Z, Math.min(BOUNDARY_HALF_Z, this.camera.position.z));
+        worldBounds.clamp(this.camera.position);
+        this.camera.position.y = Math.max(
+            worldBounds.getBoundingBox().min.y + EXTRA_BUFFER_FOR_CAMERA_TO_NOT_GO_INSIDE_FLOOR,
+            this.camera.position.y
+        );
     }
 
     updateAspect = (aspect) => {
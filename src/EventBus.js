@@ -0,0 +1,74 @@
+/**
+ * Simulation and game events, each with a payload object:
+ * - fishDied { fish, cause }: cause as in Fish.die. Fish that reach the goal send fishSaved instead
+ * - fishSaved { fish }
+ * - predatorDied { predator }
+ * - predatorTargetChanged { predator, target }: the fish it now hunts, null when it lost track
+ * - baitBitten { bait, bitesLeft }
+ * - baitConsumed { bait }: the last bite was taken
+ * - objectPlaced { object, type }, objectRemoved { object, type }: player placements
+ * - inventoryChanged {}
+ * - phaseChanged { phase, previousPhase }: PREPARATION, SIMULATION or EVALUATION
+ * - levelEnded { isWin }
+ */
+export const EVENT_TYPES = [
+    'fishDied',
+    'fishSaved',
+    'predatorDied',
+    'predatorTargetChanged',
+    'baitBitten',
+    'baitConsumed',
+    'objectPlaced',
+    'objectRemoved',
+    'inventoryChanged',
+    'phaseChanged',
+    'levelEnded'
+];
+
+/**
+ * Any number of listeners per event. One bus is shared by the Simulation, GameState and
+ * ObjectManager of a game; pass it to their constructors. Unknown event names throw, so
+ * typos don't fail silently.
+ */
+export class EventBus {
+    constructor() {
+        this.listeners = new Map();
+        for (const type of EVENT_TYPES) {
+            this.listeners.set(type, []);
+        }
+    }
+
+    /**
+     * Calls listener(payload) for every `type` event. Returns a function that unsubscribes.
+     */
+    on(type, listener) {
+        this._getListeners(type).push(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        const listeners = this._getListeners(type);
+        const index = listeners.indexOf(listener);
+        if (index > -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    emit(type, payload = {}) {
+        const listeners = this._getListeners(type);
+        if (listeners.length === 0) return;
+
+        // A copy, so listeners can unsubscribe while being called
+        for (const listener of listeners.slice()) {
+            listener(payload);
+        }
+    }
+
+    _getListeners(type) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) {
+            throw new Error(`Unknown event: ${type}`);
+        }
+        return listeners;
+    }
+}
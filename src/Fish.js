@@ -1,26 +1,111 @@
-import {
-    BOUNDARY_HALF_X,
-    BOUNDARY_MIN_Y,
-    BOUNDARY_MAX_Y,
-    BOUNDARY_HALF_Z,
-} from "./FlockingSystem.js";
+import { THREE } from './three.js';
+import { applyTuning } from './Tuning.js';
+import { Vector3View, QuaternionView } from './FishStore.js';
+import { worldBounds } from './WorldBounds.js';
 
-import * as THREE from 'three';
+const _direction = new THREE.Vector3();
+const _toPoint = new THREE.Vector3();
+const _target = new THREE.Vector3();
+const _lookMatrix = new THREE.Matrix4();
+const _targetRotation = new THREE.Quaternion();
+
+// Quarter turn so the model's +X faces the lookAt target
+const _modelRotation = new THREE.Matrix4().makeRotationY(Math.PI / 2);
+
+// Levels override any of these through LevelConfig's fishTuning
+export const DEFAULT_FISH_TUNING = {
+    maxSpeed: 2.0,
+    maxForce: 1.5,
+    mass: 1.0,
+
+    perceptionRadius: 3.0,
+    separationRadius: 1.0,
+    fearRadius: 6.0,
+
+    baitConsumptionRadius: 0.6,
+    boundingRadius: 0.2,
+
+    // Full view cone angle in radians; what's left of 2π is the blind spot behind the tail
+    fieldOfView: Math.PI * 5 / 3,
+
+    // Seek weight multiplier for placed bait, 0 ignores it (goal bait is always sought)
+    baitPreference: 1.0,
+
+    // Energy runs from 1 (fed) to 0 (starved to death). Drain per second is the resting
+    // rate plus the swimming rate scaled by (speed / maxSpeed)²; at full speed a fish
+    // starting at minStartingEnergy starves in 20-30 s, well within a level
+    restingEnergyDrain: 0.005,
+    swimmingEnergyDrain: 0.018,
+
+    // Spawned fish start with energy between this and 1, so the hungriest of a school
+    // starve before reaching the goal unless they find bait
+    minStartingEnergy: 0.45,
+
+    // Below tiredEnergy top speed falls off linearly to tiredSpeedFactor * maxSpeed at 0
+    tiredEnergy: 0.3,
+    tiredSpeedFactor: 0.5,
+
+    // Energy one eaten bait gives back
+    baitEnergy: 0.5,
+
+    // Extra seek weight for placed bait at zero energy, so hungry fish go for food
+    hungerSeekBoost: 2.0,
+
+    // Wander when there is nothing to seek: a point on a sphere of wanderRadius, wanderDistance
+    // ahead of the fish, that moves up to wanderJitter per second
+    wanderRadius: 1.0,
+    wanderDistance: 2.0,
+    wanderJitter: 3.0
+};
 
 // Based on Yuka Vehicle
 export class Fish {
-    constructor() {
-        this.position = new THREE.Vector3();
-        this.velocity = new THREE.Vector3();
-        this.acceleration = new THREE.Vector3();
-        this.rotation = new THREE.Quaternion();
+    constructor(tuning = {}) {
+        // Vector state lives in a FishStore slot; these are views into it, bound when
+        // FlockingSystem.addFish adds the fish, so set the state after that
+        this.store = null;
+        this.index = -1;
+
+        this.position = new Vector3View();
+        this.velocity = new Vector3View();
+        this.acceleration = new Vector3View();
+        this.rotation = new QuaternionView();
+
+        // State at the start of the last fixed step, for interpolated rendering
+        this.previousPosition = new Vector3View();
+        this.previousRotation = new QuaternionView();
+
+        // Water velocity from currents at the fish (set by FlockingSystem)
+        this.flow = new Vector3View();
+
+        applyTuning(this, DEFAULT_FISH_TUNING, tuning, 'fishTuning');
+
+        // Species id from the level's fishConfig; fish flock mostly with their own kind
+        this.species = null;
+
+        // 0..1, how close the nearest predator is, and the way away from the predators it
+        // sees, weighted by urgency (set by FlockingSystem)
+        this.fear = 0;
+        this.escapeDirection = new THREE.Vector3();
+
+        // 0..1, drained by swimming and refilled by bait; the fish starves at 0
+        this.energy = 1;
 
-        this.maxSpeed = 2.0;
-        this.maxForce = 1.5;
-        this.mass = 1.0;
+        // Seconds since spawning
+        this.age = 0;
 
-        this.perceptionRadius = 3.0;
-        this.separationRadius = 1.0;
+        // Elected by FlockingSystem when the level has leaders
+        this.isLeader = false;
+
+        // Wander point on the sphere ahead, relative to its center (set by FlockingSystem)
+        this.wanderTarget = new THREE.Vector3();
+
+        // Next route marker to swim to (set by FlockingSystem)
+        this.routeIndex = 0;
+
+        // Side chosen to get around the obstacle ahead (set by FlockingSystem)
+        this.avoidanceDirection = new THREE.Vector3();
+        this.avoidanceObstacle = null;
 
         this.neighbors = [];
 
@@ -28,72 +113,118 @@ export class Fish {
         this.reachedGoal = false;
         this.wasDead = false;
 
-        this.baitConsumptionRadius = 0.6;
+        // 'predator', 'spikes', 'starvation' or 'collision'; null for fish that reached the goal
+        this.deathCause = null;
 
-        this.onDeath = null;
+        // fishDied goes out here (set by Simulation)
+        this.events = null;
 
         this.mesh = null;
-        this.boundingRadius = 0.2;
 
-        this.forward = new THREE.Vector3(0, 0, 1);
+        // Model forward after lookAt's quarter turn around Y
+        this.forward = new THREE.Vector3(1, 0, 0);
         this.up = new THREE.Vector3(0, 1, 0);
     }
 
     update(delta) {
         if (!this.alive || this.reachedGoal) return;
 
-        if (this.acceleration.lengthSq() > this.maxForce * this.maxForce) {
-            this.acceleration.normalize().multiplyScalar(this.maxForce);
+        this.previousPosition.copy(this.position);
+        this.previousRotation.copy(this.rotation);
+        this.age += delta;
+
+        // Integrate on the store's arrays, no temporaries
+        const { position, velocity, acceleration, flow } = this.store;
+        const i = this.index * 3;
+
+        let ax = acceleration[i], ay = acceleration[i + 1], az = acceleration[i + 2];
+        const accelerationSq = ax * ax + ay * ay + az * az;
+        if (accelerationSq > this.maxForce * this.maxForce) {
+            const scale = this.maxForce / Math.sqrt(accelerationSq);
+            ax *= scale;
+            ay *= scale;
+            az *= scale;
         }
 
-        this.velocity.add(this.acceleration.clone().multiplyScalar(delta));
+        let vx = velocity[i] + ax * delta;
+        let vy = velocity[i + 1] + ay * delta;
+        let vz = velocity[i + 2] + az * delta;
 
-        const speedSq = this.velocity.lengthSq();
-        if (speedSq > this.maxSpeed * this.maxSpeed) {
-            this.velocity.normalize().multiplyScalar(this.maxSpeed);
+        const maxSpeed = this.getMaxSpeed();
+        let speedSq = vx * vx + vy * vy + vz * vz;
+        if (speedSq > maxSpeed * maxSpeed) {
+            const scale = maxSpeed / Math.sqrt(speedSq);
+            vx *= scale;
+            vy *= scale;
+            vz *= scale;
+            speedSq = maxSpeed * maxSpeed;
         }
 
-        this.position.add(this.velocity.clone().multiplyScalar(delta));
+        velocity[i] = vx;
+        velocity[i + 1] = vy;
+        velocity[i + 2] = vz;
 
-        this.position.x = Math.max(-BOUNDARY_HALF_X, Math.min(BOUNDARY_HALF_X, this.position.x));
-        this.position.y = Math.max(BOUNDARY_MIN_Y, Math.min(BOUNDARY_MAX_Y, this.position.y));
-        this.position.z = Math.max(-BOUNDARY_HALF_Z, Math.min(BOUNDARY_HALF_Z, this.position.z));
+        position[i] += (vx + flow[i]) * delta;
+        position[i + 1] += (vy + flow[i + 1]) * delta;
+        position[i + 2] += (vz + flow[i + 2]) * delta;
+        worldBounds.clamp(this.position);
 
         if (speedSq > 0.00001) {
-            const target = this.position.clone().add(this.velocity);
-            this.lookAt(target);
+            this.lookAt(_target.copy(this.position).add(this.velocity));
         }
 
-        this.acceleration.set(0, 0, 0);
+        acceleration[i] = 0;
+        acceleration[i + 1] = 0;
+        acceleration[i + 2] = 0;
 
-        if (this.mesh) {
-            this.mesh.position.copy(this.position);
-            this.mesh.quaternion.copy(this.rotation);
+        const speedRatioSq = speedSq / (this.maxSpeed * this.maxSpeed);
+        this.energy -= (this.restingEnergyDrain + this.swimmingEnergyDrain * speedRatioSq) * delta;
+        if (this.energy <= 0) {
+            this.energy = 0;
+            this.die('starvation');
         }
     }
 
+    /**
+     * 1 while the fish has energy to spare, down to tiredSpeedFactor as it starves
+     */
+    getStamina() {
+        if (this.energy >= this.tiredEnergy) return 1;
+        return this.tiredSpeedFactor + (1 - this.tiredSpeedFactor) * this.energy / this.tiredEnergy;
+    }
+
+    getMaxSpeed() {
+        return this.maxSpeed * this.getStamina();
+    }
+
+    eat(energy = this.baitEnergy) {
+        this.energy = Math.min(1, this.energy + energy);
+    }
+
+    syncMesh(alpha = 1) {
+        if (!this.mesh) return;
+
+        this.mesh.position.lerpVectors(this.previousPosition, this.position, alpha);
+        this.mesh.quaternion.slerpQuaternions(this.previousRotation, this.rotation, alpha);
+    }
+
     applyForce(force) {
         // F = ma, so a = F/m
-        const acc = force.clone().divideScalar(this.mass);
-        this.acceleration.add(acc);
+        this.acceleration.addScaledVector(force, 1.0 / this.mass);
     }
 
     lookAt(target) {
-        const direction = new THREE.Vector3().subVectors(target, this.position).normalize();
+        _direction.subVectors(target, this.position);
 
-        if (direction.lengthSq() > 0.00001) {
-            const matrix = new THREE.Matrix4();
-            matrix.lookAt(this.position, target, this.up);
+        if (_direction.lengthSq() > 0) {
+            _lookMatrix.lookAt(this.position, target, this.up);
 
             // Adjust for model orientation
-            const rotationY = new THREE.Matrix4();
-            rotationY.makeRotationY(Math.PI / 2);
-            matrix.multiply(rotationY);
+            _lookMatrix.multiply(_modelRotation);
 
-            const targetRotation = new THREE.Quaternion();
-            targetRotation.setFromRotationMatrix(matrix);
+            _targetRotation.setFromRotationMatrix(_lookMatrix);
 
-            this.rotation.slerp(targetRotation, 0.1);
+            this.rotation.slerp(_targetRotation, 0.1);
         }
     }
 
@@ -101,26 +232,44 @@ export class Fish {
         return result.copy(this.forward).applyQuaternion(this.rotation).normalize();
     }
 
+    /**
+     * Whether a point lies inside the view cone (distance isn't checked)
+     */
+    canSee(point) {
+        if (this.fieldOfView >= Math.PI * 2) return true;
+
+        _toPoint.subVectors(point, this.position);
+        const distance = _toPoint.length();
+        if (distance < 0.0001) return true;
+
+        return _toPoint.dot(this.getDirection(_direction)) >= Math.cos(this.fieldOfView / 2) * distance;
+    }
+
     getSpeed() {
         return this.velocity.length();
     }
 
     setMesh(mesh) {
         this.mesh = mesh;
+        this.previousPosition.copy(this.position);
+        this.previousRotation.copy(this.rotation);
         mesh.position.copy(this.position);
         mesh.quaternion.copy(this.rotation);
     }
 
-    die() {
+    die(cause = null) {
         const wasAlive = this.alive;
+        if (wasAlive) this.deathCause = cause;
         this.alive = false;
         if (this.mesh) {
             this.mesh.visible = false;
         }
 
-        if (wasAlive && this.onDeath && !this.wasDead) {
-            this.onDeath();
+        if (wasAlive && !this.wasDead) {
             this.wasDead = true;
+            if (this.events && !this.reachedGoal) {
+                this.events.emit('fishDied', { fish: this, cause });
+            }
         }
     }
 }
\ No newline at end of file
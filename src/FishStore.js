@@ -0,0 +1,150 @@
+import { THREE } from './three.js';
+
+// Per-fish vector state, stored field by field: fish i is at i * 3 (i * 4 for quaternions)
+const VECTOR_FIELDS = ['position', 'previousPosition', 'velocity', 'acceleration', 'flow'];
+const QUATERNION_FIELDS = ['rotation', 'previousRotation'];
+
+/**
+ * A THREE.Vector3 whose components live in a Float32Array slot. All Vector3 methods work
+ * on it; clone() returns a plain Vector3. Kernels skip the view and index the arrays.
+ */
+export class Vector3View {
+    constructor(array = null, offset = 0) {
+        this.array = array;
+        this.offset = offset;
+    }
+
+    get x() { return this.array[this.offset]; }
+    set x(value) { this.array[this.offset] = value; }
+
+    get y() { return this.array[this.offset + 1]; }
+    set y(value) { this.array[this.offset + 1] = value; }
+
+    get z() { return this.array[this.offset + 2]; }
+    set z(value) { this.array[this.offset + 2] = value; }
+
+    clone() {
+        return new THREE.Vector3(this.x, this.y, this.z);
+    }
+}
+
+// Quaternion methods read and write _x.._w directly, so those are the views
+export class QuaternionView {
+    constructor(array = null, offset = 0) {
+        this.array = array;
+        this.offset = offset;
+        this.isQuaternion = true;
+    }
+
+    get _x() { return this.array[this.offset]; }
+    set _x(value) { this.array[this.offset] = value; }
+
+    get _y() { return this.array[this.offset + 1]; }
+    set _y(value) { this.array[this.offset + 1] = value; }
+
+    get _z() { return this.array[this.offset + 2]; }
+    set _z(value) { this.array[this.offset + 2] = value; }
+
+    get _w() { return this.array[this.offset + 3]; }
+    set _w(value) { this.array[this.offset + 3] = value; }
+
+    clone() {
+        return new THREE.Quaternion(this._x, this._y, this._z, this._w);
+    }
+}
+
+// Plain classes rather than subclasses: the THREE constructors would write through the views before they are bound
+Object.setPrototypeOf(Vector3View.prototype, THREE.Vector3.prototype);
+Object.setPrototypeOf(QuaternionView.prototype, THREE.Quaternion.prototype);
+
+/**
+ * Struct-of-arrays storage for fish: one Float32Array per vector field, so the flocking
+ * kernels run over flat arrays without allocating. Fish keep views into their slot.
+ * Fish get their slot in FlockingSystem's store with addFish; their views are unbound until then.
+ */
+export class FishStore {
+    constructor(capacity = 64) {
+        this.fish = [];
+        this.capacity = 0;
+        this._allocate(Math.max(1, capacity));
+    }
+
+    get count() {
+        return this.fish.length;
+    }
+
+    add(fish) {
+        if (this.fish.length === this.capacity) {
+            this._allocate(this.capacity * 2);
+        }
+
+        const index = this.fish.length;
+        this.fish.push(fish);
+        this._bind(fish, index);
+        return index;
+    }
+
+    /**
+     * Empties the store. Fresh arrays are allocated, so fish that were removed keep their
+     * last state instead of sharing slots with the next ones.
+     */
+    clear() {
+        this.fish = [];
+        this._allocate(this.capacity, false);
+    }
+
+    _allocate(capacity, keep = true) {
+        for (const field of VECTOR_FIELDS) {
+            const array = new Float32Array(capacity * 3);
+            if (keep && this[field]) array.set(this[field]);
+            this[field] = array;
+        }
+        for (const field of QUATERNION_FIELDS) {
+            const array = new Float32Array(capacity * 4);
+            if (keep && this[field]) array.set(this[field]);
+            this[field] = array;
+        }
+        this.capacity = capacity;
+
+        if (!keep) return;
+
+        // Views still point at the old arrays
+        for (let i = 0; i < this.fish.length; i++) {
+            this._rebind(this.fish[i], i);
+        }
+    }
+
+    // Copies the fish's current state into slot `index` and points its views there
+    _bind(fish, index) {
+        for (const field of VECTOR_FIELDS) {
+            const view = fish[field];
+            if (view.array) {
+                this[field].set(view.array.subarray(view.offset, view.offset + 3), index * 3);
+            }
+        }
+        for (const field of QUATERNION_FIELDS) {
+            const view = fish[field];
+            if (view.array) {
+                this[field].set(view.array.subarray(view.offset, view.offset + 4), index * 4);
+            } else {
+                this[field][index * 4 + 3] = 1; // identity
+            }
+        }
+
+        this._rebind(fish, index);
+    }
+
+    _rebind(fish, index) {
+        for (const field of VECTOR_FIELDS) {
+            fish[field].array = this[field];
+            fish[field].offset = index * 3;
+        }
+        for (const field of QUATERNION_FIELDS) {
+            fish[field].array = this[field];
+            fish[field].offset = index * 4;
+        }
+
+        fish.store = this;
+        fish.index = index;
+    }
+}
@@ -0,0 +1,132 @@
+import { THREE } from './three.js';
+
+const _center = new THREE.Vector3();
+const _heading = new THREE.Vector3();
+
+/**
+ * School statistics over the fish still swimming, recomputed by FlockingSystem every step:
+ * - polarization: 0 when headings cancel out, 1 when every fish swims the same way
+ * - cohesionRadius: mean distance from the school's center
+ * - nearestNeighborDistance: mean distance from each fish to its closest neighbor
+ * - schoolCount: groups of fish linked by chains of neighbors within linkRadius
+ * - meanSpeed
+ */
+export class FlockMetrics {
+    constructor() {
+        this.count = 0;
+        this.polarization = 0;
+        this.cohesionRadius = 0;
+        this.nearestNeighborDistance = 0;
+        this.schoolCount = 0;
+        this.meanSpeed = 0;
+
+        // Union-find parents by store index, for schoolCount
+        this._parents = [];
+        this._nearest = [];
+        this._nearby = [];
+    }
+
+    /**
+     * @param fish all fish, only living ones count
+     * @param spatialGrid FlockingSystem's grid, holding exactly the living fish
+     * @param linkRadius fish closer than this belong to the same school
+     */
+    compute(fish, spatialGrid, linkRadius) {
+        let count = 0;
+        let speedSum = 0;
+        _center.set(0, 0, 0);
+        _heading.set(0, 0, 0);
+
+        for (const f of fish) {
+            if (!f.alive) continue;
+
+            const speed = f.velocity.length();
+            if (speed > 0.0001) _heading.addScaledVector(f.velocity, 1 / speed);
+            speedSum += speed;
+            _center.add(f.position);
+            count++;
+        }
+
+        this.count = count;
+        if (count === 0) {
+            this.polarization = 0;
+            this.cohesionRadius = 0;
+            this.nearestNeighborDistance = 0;
+            this.schoolCount = 0;
+            this.meanSpeed = 0;
+            return this;
+        }
+
+        _center.divideScalar(count);
+        this.polarization = _heading.length() / count;
+        this.meanSpeed = speedSum / count;
+
+        const parents = this._parents;
+        const nearest = this._nearest;
+        const nearby = this._nearby;
+        let radiusSum = 0;
+        let nearestSum = 0;
+        let schools = count;
+
+        for (const f of fish) {
+            if (f.alive) parents[f.index] = f.index;
+        }
+
+        for (const f of fish) {
+            if (!f.alive) continue;
+
+            radiusSum += f.position.distanceTo(_center);
+
+            // The closest hit is the fish itself
+            spatialGrid.findKNearest(f.position, 2, Infinity, nearest);
+            if (nearest.length === 2) nearestSum += f.position.distanceTo(nearest[1].position);
+
+            nearby.length = 0;
+            spatialGrid.query(f.position, linkRadius, nearby, f);
+            for (const other of nearby) {
+                const a = this._find(f.index);
+                const b = this._find(other.index);
+                if (a !== b) {
+                    parents[a] = b;
+                    schools--;
+                }
+            }
+        }
+
+        this.cohesionRadius = radiusSum / count;
+        this.nearestNeighborDistance = count > 1 ? nearestSum / count : 0;
+        this.schoolCount = schools;
+        return this;
+    }
+
+    _find(index) {
+        const parents = this._parents;
+        while (parents[index] !== index) {
+            parents[index] = parents[parents[index]];
+            index = parents[index];
+        }
+        return index;
+    }
+
+    copy(metrics) {
+        this.count = metrics.count;
+        this.polarization = metrics.polarization;
+        this.cohesionRadius = metrics.cohesionRadius;
+        this.nearestNeighborDistance = metrics.nearestNeighborDistance;
+        this.schoolCount = metrics.schoolCount;
+        this.meanSpeed = metrics.meanSpeed;
+        return this;
+    }
+
+    // Plain data for the worker, headless samples and subscribers that keep history
+    toJSON() {
+        return {
+            count: this.count,
+            polarization: this.polarization,
+            cohesionRadius: this.cohesionRadius,
+            nearestNeighborDistance: this.nearestNeighborDistance,
+            schoolCount: this.schoolCount,
+            meanSpeed: this.meanSpeed
+        };
+    }
+}
@@ -1,44 +1,292 @@
-import * as THREE from 'three';
-
-// Global configuration
-export const GAME_SCALE = 2;
-export const BOUNDARY_HALF_X = 10 * GAME_SCALE;
-export const BOUNDARY_MIN_Y = 0 * GAME_SCALE;
-export const BOUNDARY_MAX_Y = 5 * GAME_SCALE;
-export const BOUNDARY_HALF_Z = 10 * GAME_SCALE;
+import { THREE } from './three.js';
+import { SpatialGrid } from './SpatialGrid.js';
+import { FishStore } from './FishStore.js';
+import { applyTuning } from './Tuning.js';
+import { random } from './Random.js';
+import { worldBounds } from './WorldBounds.js';
+import { FlockMetrics } from './FlockMetrics.js';
+import { EventBus } from './EventBus.js';
+import { createBuiltInBehaviors } from './SteeringBehaviors.js';
+
+// Scale and default tank size moved to WorldBounds.js, still exported here for existing imports
+export {
+    GAME_SCALE,
+    BOUNDARY_HALF_X,
+    BOUNDARY_MIN_Y,
+    BOUNDARY_MAX_Y,
+    BOUNDARY_HALF_Z
+} from './WorldBounds.js';
+
+// Levels override any of these through LevelConfig's flockingConfig
+export const DEFAULT_FLOCKING_CONFIG = {
+    // Behavior weights (tuned for normalized forces)
+    separationWeight: 30.0,
+    alignmentWeight: 2.0,
+    cohesionWeight: 4.0,
+    seekWeight: 3.0,
+    obstacleAvoidanceWeight: 100.0,
+    boundaryWeight: 500.0,
+    lightAvoidanceWeight: 25.0,
+    fleeWeight: 20.0,
+    currentWeight: 1.0,
+    wanderWeight: 2.0,
+    pathFollowWeight: 4.0,
+
+    // Fish stay within pathRadius of the route marker path and reach a marker within it
+    pathRadius: 3.0,
+
+    // Other species count this much in alignment and cohesion,
+    // and are kept this many times further apart
+    otherSpeciesFlockingWeight: 0.1,
+    otherSpeciesSeparationScale: 1.5,
+
+    // Leaders per species. They see every placed bait and seek it leaderSeekMultiplier times
+    // harder; followers weight them leaderFlockingWeight times in alignment and cohesion
+    leaderCount: 0,
+    leaderSeekMultiplier: 2.0,
+    leaderFlockingWeight: 4.0,
+
+    boundaryRadius: 1,
+
+    // 'metric': every visible fish within perceptionRadius.
+    // 'topological': the topologicalNeighborCount closest visible fish, up to topologicalMaxRadius.
+    neighborMode: 'metric',
+    topologicalNeighborCount: 7,
+    topologicalMaxRadius: 10.0,
+
+    // Obstacle avoidance parameters
+    detectionBoxMinLength: 5.0,
+    brakingWeight: 0.5,
+    panicDistance: 0.5,
+
+    // Escape direction search: directions sampled around the heading, the cost factor
+    // that keeps the current side, and how fast the chosen direction may turn per step
+    avoidanceDirectionSamples: 8,
+    avoidanceHysteresis: 0.8,
+    avoidanceTurnRate: 0.25,
+
+    // Optional rule: two fish die when their centers come closer than
+    // fishCollisionThreshold times the sum of their bounding radii. Schools spawn packed,
+    // so fish younger than fishCollisionGracePeriod seconds are spared while separation
+    // spreads them out
+    fishCollisionMortality: false,
+    fishCollisionThreshold: 0.5,
+    fishCollisionGracePeriod: 2.0,
+
+    // Steering behaviors by name (see SteeringBehaviors.js), e.g. { wander: { enabled: false } },
+    // and names to run first, in that order; the rest follow in their default order
+    behaviorSettings: {},
+    behaviorOrder: null
+};
+
+// Scratch objects, so a step allocates nothing per fish
+const _worldUp = new THREE.Vector3(0, 1, 0);
+const _worldX = new THREE.Vector3(1, 0, 0);
+const _totalForce = new THREE.Vector3();
+const _away = new THREE.Vector3();
+const _escapeDirection = new THREE.Vector3();
+const _axis = new THREE.Vector3();
+const _toFish = new THREE.Vector3();
+const _local = new THREE.Vector3();
+const _heading = new THREE.Vector3();
+const _origin = new THREE.Vector3();
+const _localDirection = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+const _pushDirection = new THREE.Vector3();
+const _side = new THREE.Vector3();
+const _up = new THREE.Vector3();
+const _candidate = new THREE.Vector3();
+const _bestEscape = new THREE.Vector3();
+const _escapePoint = new THREE.Vector3();
+const _support = new THREE.Vector3();
+const _schoolCenter = new THREE.Vector3();
+const _segment = new THREE.Vector3();
+const _predicted = new THREE.Vector3();
+const _pathPoint = new THREE.Vector3();
+
+const isAlive = (fish) => fish.alive;
 
 export class FlockingSystem {
-    constructor() {
+    constructor(config = {}, events = new EventBus()) {
+        // Bait events go out here
+        this.events = events;
+
         this.fish = [];
+
+        // Vector state of every fish, the kernels below index it directly
+        this.store = new FishStore();
+
         this.obstacles = [];
         this.baits = [];
-        this.predator = null;
+        this.lights = [];
+        this.currents = [];
+        this.predators = [];
+
+        // Route marker positions in the order fish visit them, before heading for the goal
+        this.route = [];
+
+        // Neighbor queries go through a uniform grid over the bounds; cell size follows the largest perceptionRadius
+        const bounds = worldBounds.getBoundingBox();
+        this.spatialGrid = new SpatialGrid(3.0, bounds.min, bounds.max);
+        this._maxBaitConsumptionRadius = 0;
+        this._maxBoundingRadius = 0;
+        this._queryResults = [];
+        this._baitsToRemove = [];
+
+        // School statistics after the last step, see subscribeMetrics
+        this.metrics = new FlockMetrics();
+        this._metricsListeners = [];
+
+        // Living leaders per species and leaders that died this step, for _updateLeaders
+        this._leaderCounts = new Map();
+        this._vacancies = [];
+
+        // Reused result of _findClosestObstacleInPath
+        this._hit = { obstacle: null, distance: 0, closestApproach: new THREE.Vector3(), radius: 0 };
+
+        // Topological neighbor filter for the fish in _viewer, made once instead of per fish
+        this._viewer = null;
+        this._isVisibleNeighbor = (neighbor) => neighbor !== this._viewer && this._viewer.canSee(neighbor.position);
+
+        // Steering behaviors in the order their forces are summed; registration order is the default
+        this.behaviors = createBuiltInBehaviors(this);
+        this._registeredBehaviors = this.behaviors.slice();
+
+        // Handed to every behavior's compute, refreshed per fish
+        this._context = {
+            flockingSystem: this,
+            delta: 0,
+            force: new THREE.Vector3(),
+            followingRoute: false,
+            nearestBait: null
+        };
+
+        this.applyConfig(config);
+    }
+
+    /**
+     * Resets weights and parameters to DEFAULT_FLOCKING_CONFIG, then applies the overrides
+     */
+    applyConfig(config = {}) {
+        applyTuning(this, DEFAULT_FLOCKING_CONFIG, config, 'flockingConfig');
 
-        this.boundaryRadius = 1;
+        if (this.neighborMode !== 'metric' && this.neighborMode !== 'topological') {
+            console.warn(`Unknown neighborMode "${this.neighborMode}", using metric`);
+            this.neighborMode = 'metric';
+        }
 
-        // Behavior weights (tuned for normalized forces)
-        this.separationWeight = 30.0;
-        this.alignmentWeight = 2.0;
-        this.cohesionWeight = 4.0;
-        this.seekWeight = 3.0;
-        this.obstacleAvoidanceWeight = 100.0;
-        this.boundaryWeight = 500.0;
+        // Added behaviors stay, but every level starts with all of them on, in the default order
+        this.behaviors = this._registeredBehaviors.slice();
+        for (const behavior of this.behaviors) {
+            behavior.enabled = true;
+        }
 
-        // Obstacle avoidance parameters
-        this.detectionBoxMinLength = 5.0;
-        this.brakingWeight = 0.5;
-        this.panicDistance = 0.5;
+        for (const [name, settings] of Object.entries(this.behaviorSettings)) {
+            this.configureBehavior(name, settings);
+        }
+        if (this.behaviorOrder) {
+            this.setBehaviorOrder(this.behaviorOrder);
+        }
+    }
+
+    /**
+     * Registers a steering behavior (see SteeringBehaviors.js), last in the order by default
+     */
+    addBehavior(behavior, index = this.behaviors.length) {
+        if (!behavior.name || typeof behavior.compute !== 'function') {
+            throw new Error('A steering behavior needs a name and a compute(fish, context) method');
+        }
+        if (this.getBehavior(behavior.name)) {
+            throw new Error(`Steering behavior "${behavior.name}" already exists`);
+        }
+
+        if (behavior.weight === undefined) behavior.weight = 1.0;
+        if (behavior.enabled === undefined) behavior.enabled = true;
+
+        this.behaviors.splice(index, 0, behavior);
+        this._registeredBehaviors.push(behavior);
+        return behavior;
+    }
+
+    removeBehavior(name) {
+        const behavior = this.getBehavior(name);
+        if (!behavior) return false;
+
+        this.behaviors.splice(this.behaviors.indexOf(behavior), 1);
+        this._registeredBehaviors.splice(this._registeredBehaviors.indexOf(behavior), 1);
+        return true;
+    }
+
+    getBehavior(name) {
+        return this.behaviors.find(behavior => behavior.name === name) || null;
+    }
+
+    /**
+     * settings: { enabled?, weight? }
+     */
+    configureBehavior(name, settings = {}) {
+        const behavior = this.getBehavior(name);
+        if (!behavior) {
+            console.warn(`Unknown steering behavior "${name}" ignored`);
+            return;
+        }
+
+        if (settings.enabled !== undefined) behavior.enabled = settings.enabled;
+        if (settings.weight !== undefined) behavior.weight = settings.weight;
+    }
+
+    /**
+     * Moves the named behaviors to the front in the given order; the others keep theirs
+     */
+    setBehaviorOrder(names) {
+        const ordered = [];
+        for (const name of names) {
+            const behavior = this.getBehavior(name);
+            if (behavior) {
+                ordered.push(behavior);
+            } else {
+                console.warn(`Unknown steering behavior "${name}" ignored`);
+            }
+        }
+
+        this.behaviors = ordered.concat(this.behaviors.filter(behavior => !ordered.includes(behavior)));
+    }
+
+    /**
+     * Fits the spatial grid to worldBounds after a level changed them
+     */
+    updateBounds() {
+        const bounds = worldBounds.getBoundingBox();
+        this.spatialGrid.setBounds(bounds.min, bounds.max);
     }
 
     addFish(fish) {
+        this.store.add(fish);
         this.fish.push(fish);
     }
 
-    setPredator(predator) {
-        this.predator = predator;
+    clearFish() {
+        this.fish = [];
+        this.store.clear();
+    }
+
+    addPredator(predator) {
+        this.predators.push(predator);
+    }
+
+    removePredator(predator) {
+        const index = this.predators.indexOf(predator);
+        if (index > -1) {
+            this.predators.splice(index, 1);
+        }
+    }
+
+    clearPredators() {
+        this.predators = [];
     }
 
     addObstacle(obstacle) {
+        this._prepareObstacle(obstacle);
         this.obstacles.push(obstacle);
     }
 
@@ -51,7 +299,19 @@ export class FlockingSystem {
         return false;
     }
 
+    /**
+     * Placed bait may carry bites, biteInterval, attractionRadius and attractionHalfLife in
+     * its userData (see Bait in ObjectTypes.js); without them it lasts one bite and lures
+     * every fish that sees it.
+     */
     addBait(baitObject) {
+        const userData = baitObject.userData;
+        if (userData && !userData.isGoalBait) {
+            userData.bitesLeft = userData.bites ?? 1;
+            userData.biteCooldown = 0;
+            userData.age = 0;
+        }
+
         this.baits.push(baitObject);
         console.log(`✓ Bait registered at (${baitObject.position.x.toFixed(2)}, ${baitObject.position.y.toFixed(2)}, ${baitObject.position.z.toFixed(2)})`);
     }
@@ -68,54 +328,92 @@ export class FlockingSystem {
         this.baits = [];
     }
 
+    addLight(spotlight) {
+        this.lights.push(spotlight);
+    }
+
+    removeLight(spotlight) {
+        const index = this.lights.indexOf(spotlight);
+        if (index > -1) {
+            this.lights.splice(index, 1);
+        }
+    }
+
+    clearLights() {
+        this.lights = [];
+    }
+
+    addCurrent(current) {
+        this.currents.push(current);
+    }
+
+    removeCurrent(current) {
+        const index = this.currents.indexOf(current);
+        if (index > -1) {
+            this.currents.splice(index, 1);
+        }
+    }
+
+    clearCurrents() {
+        this.currents = [];
+    }
+
+    /**
+     * Replaces the route; every fish starts again from the first marker
+     */
+    setRoute(points) {
+        this.route = points.map(point => point.clone());
+        for (const fish of this.fish) {
+            fish.routeIndex = 0;
+        }
+    }
+
     setBaitPosition(position) {
         this.baits = [{ position: position.clone() }];
     }
 
     update(delta) {
+        this._updateLeaders();
+        this.rebuildSpatialGrid();
         this.updateNeighborhoods();
 
+        const totalForce = _totalForce;
+        const context = this._context;
+        context.delta = delta;
+
         for (const fish of this.fish) {
             if (!fish.alive) continue;
 
-            const totalForce = new THREE.Vector3();
-
-            //Separation
-            const separationForce = this.calculateSeparation(fish);
-            separationForce.multiplyScalar(this.separationWeight);
-            totalForce.add(separationForce);
-
-            // Alignment
-            const alignmentForce = this.calculateAlignment(fish);
-            alignmentForce.multiplyScalar(this.alignmentWeight);
-            totalForce.add(alignmentForce);
-
-            //Cohesion
-            const cohesionForce = this.calculateCohesion(fish);
-            cohesionForce.multiplyScalar(this.cohesionWeight);
-            totalForce.add(cohesionForce);
-
-            // Seek
-            if (this.baits.length > 0) {
-                const nearestBait = this.findNearestBait(fish);
-                if (nearestBait) {
-                    const seekForce = this.calculateSeek(fish, nearestBait.position);
-                    seekForce.multiplyScalar(this.seekWeight);
-                    totalForce.add(seekForce);
-                }
+            // Before the behaviors, which read it whether or not flee is enabled
+            this.updateFear(fish);
+
+            // The goal waits until the last route marker is reached
+            context.followingRoute = this.route.length > 0 && this._updateRouteProgress(fish);
+
+            let nearestBait = this.findNearestBait(fish);
+            if (context.followingRoute && nearestBait && nearestBait.userData && nearestBait.userData.isGoalBait) {
+                nearestBait = null;
             }
+            context.nearestBait = nearestBait;
+
+            totalForce.set(0, 0, 0);
 
-            // Obstacle Avoidance
-            const avoidanceForce = this.calculateObstacleAvoidance(fish);
-            avoidanceForce.multiplyScalar(this.obstacleAvoidanceWeight);
-            totalForce.add(avoidanceForce);
+            for (const behavior of this.behaviors) {
+                if (!behavior.enabled) continue;
 
-            // Boundary Avoidance
-            const boundaryForce = this.calculateBoundaryAvoidance(fish);
-            boundaryForce.multiplyScalar(this.boundaryWeight);
-            totalForce.add(boundaryForce);
+                const force = behavior.compute(fish, context);
+                if (!force) continue;
+
+                const weight = behavior.getWeightScale
+                    ? behavior.weight * behavior.getWeightScale(fish, context)
+                    : behavior.weight;
+                totalForce.addScaledVector(force, weight);
+            }
 
             fish.applyForce(totalForce);
+
+            // Water velocity carries the fish on top of its own swimming
+            this.calculateCurrentFlow(fish.position, fish.flow);
         }
 
         for (const fish of this.fish) {
@@ -123,22 +421,116 @@ export class FlockingSystem {
             this._correctObstacleCollisions(fish);
         }
 
-        this._checkBaitConsumption();
+        // Fish moved, refresh the grid for bait checks and predator queries
+        this.rebuildSpatialGrid();
+        if (this.fishCollisionMortality) this._checkFishCollisions();
+        this._checkBaitConsumption(delta);
+
+        // Fish within perception of each other count as one school
+        this.metrics.compute(this.fish, this.spatialGrid, this.spatialGrid.cellSize);
+        this.publishMetrics();
+    }
+
+    /**
+     * Calls listener(metrics) after every step. metrics is this.metrics, updated in place,
+     * so keep metrics.toJSON() for history. Returns a function that unsubscribes.
+     */
+    subscribeMetrics(listener) {
+        this._metricsListeners.push(listener);
+        return () => {
+            const index = this._metricsListeners.indexOf(listener);
+            if (index > -1) this._metricsListeners.splice(index, 1);
+        };
     }
 
-    _checkBaitConsumption() {
+    publishMetrics() {
+        for (const listener of this._metricsListeners) {
+            listener(this.metrics);
+        }
+    }
+
+    rebuildSpatialGrid() {
+        let maxPerceptionRadius = 0;
+        let maxBaitConsumptionRadius = 0;
+        let maxBoundingRadius = 0;
+
+        for (const fish of this.fish) {
+            if (!fish.alive) continue;
+            maxPerceptionRadius = Math.max(maxPerceptionRadius, fish.perceptionRadius);
+            maxBaitConsumptionRadius = Math.max(maxBaitConsumptionRadius, fish.baitConsumptionRadius);
+            maxBoundingRadius = Math.max(maxBoundingRadius, fish.boundingRadius);
+        }
+
+        if (maxPerceptionRadius > 0 && maxPerceptionRadius !== this.spatialGrid.cellSize) {
+            this.spatialGrid.setCellSize(maxPerceptionRadius);
+        }
+        this._maxBaitConsumptionRadius = maxBaitConsumptionRadius;
+        this._maxBoundingRadius = maxBoundingRadius;
+
+        this.spatialGrid.rebuild(this.fish, isAlive);
+    }
+
+    /**
+     * Closest living fish within maxRadius, used by predators for target search
+     */
+    findNearestFish(position, maxRadius = Infinity) {
+        return this.spatialGrid.findNearest(position, maxRadius, isAlive);
+    }
+
+    // Kills both fish of every overlapping pair (fishCollisionMortality)
+    _checkFishCollisions() {
+        const queryRadius = 2 * this._maxBoundingRadius * this.fishCollisionThreshold;
+        if (queryRadius <= 0) return;
+
+        const nearbyFish = this._queryResults;
+
+        for (const fish of this.fish) {
+            if (!fish.alive || fish.age < this.fishCollisionGracePeriod) continue;
+
+            nearbyFish.length = 0;
+            this.spatialGrid.query(fish.position, queryRadius, nearbyFish, fish);
+
+            for (const other of nearbyFish) {
+                if (!other.alive || other.age < this.fishCollisionGracePeriod) continue;
+
+                const collisionDistance = (fish.boundingRadius + other.boundingRadius) * this.fishCollisionThreshold;
+                if (fish.position.distanceToSquared(other.position) <= collisionDistance * collisionDistance) {
+                    fish.die('collision');
+                    other.die('collision');
+                    break;
+                }
+            }
+        }
+    }
+
+    _checkBaitConsumption(delta) {
         if (this.baits.length === 0) return;
 
-        const baitsToRemove = [];
+        const baitsToRemove = this._baitsToRemove;
+        baitsToRemove.length = 0;
 
         for (const bait of this.baits) {
-            if (bait.userData && bait.userData.isGoalBait) continue;
+            const userData = bait.userData;
+            if (userData && userData.isGoalBait) continue;
+
+            if (userData && userData.bitesLeft !== undefined) {
+                userData.age += delta;
+                if (userData.biteCooldown > 0) {
+                    userData.biteCooldown -= delta;
+                    continue;
+                }
+            }
+
+            const nearbyFish = this._queryResults;
+            nearbyFish.length = 0;
+            this.spatialGrid.query(bait.position, this._maxBaitConsumptionRadius, nearbyFish);
 
-            for (const fish of this.fish) {
+            for (const fish of nearbyFish) {
                 if (!fish.alive) continue;
 
                 if (fish.position.distanceTo(bait.position) <= fish.baitConsumptionRadius) {
-                    if (!baitsToRemove.includes(bait)) {
+                    fish.eat();
+                    if (this._biteBait(bait)) {
                         baitsToRemove.push(bait);
                         console.log(`🐟 Fish consumed bait at (${bait.position.x.toFixed(2)}, ${bait.position.y.toFixed(2)})`);
                     }
@@ -149,10 +541,33 @@ export class FlockingSystem {
 
         for (const bait of baitsToRemove) {
             this.removeBait(bait);
-            if (this.onBaitConsumed) this.onBaitConsumed(bait);
+            this.events.emit('baitConsumed', { bait });
         }
     }
 
+    // True once the last bite is taken
+    _biteBait(bait) {
+        const userData = bait.userData;
+        if (!userData || userData.bitesLeft === undefined) return true;
+
+        userData.bitesLeft--;
+        if (userData.bitesLeft <= 0) return true;
+
+        userData.biteCooldown = userData.biteInterval || 0;
+        console.log(`🐟 Fish bit bait, ${userData.bitesLeft} bite(s) left`);
+        this.events.emit('baitBitten', { bait, bitesLeft: userData.bitesLeft });
+        return false;
+    }
+
+    /**
+     * 1 when placed, halving every attractionHalfLife seconds
+     */
+    getBaitAttraction(bait) {
+        const userData = bait.userData;
+        if (!userData || !userData.attractionHalfLife) return 1;
+        return Math.pow(0.5, userData.age / userData.attractionHalfLife);
+    }
+
     findNearestBait(fish) {
         if (this.baits.length === 0) return null;
 
@@ -160,7 +575,16 @@ export class FlockingSystem {
         let nearestDistSq = Infinity;
 
         for (const bait of this.baits) {
+            if (!this._isBaitFor(fish, bait)) continue;
+
+            // The goal is known, not seen, so fish turn back for it; leaders know every bait
+            const isGoalBait = bait.userData && bait.userData.isGoalBait;
+            if (!isGoalBait && !fish.isLeader && !fish.canSee(bait.position)) continue;
+
             const distSq = fish.position.distanceToSquared(bait.position);
+            const attractionRadius = !isGoalBait && bait.userData && bait.userData.attractionRadius;
+            if (attractionRadius && distSq > attractionRadius * attractionRadius) continue;
+
             if (distSq < nearestDistSq) {
                 nearestDistSq = distSq;
                 nearestBait = bait;
@@ -169,137 +593,411 @@ export class FlockingSystem {
         return nearestBait;
     }
 
+    // Goal bait only lures the species its goal zone saves; placed bait lures fish that want it
+    _isBaitFor(fish, bait) {
+        const userData = bait.userData;
+        if (userData && userData.isGoalBait) {
+            return !userData.species || userData.species.includes(fish.species);
+        }
+        return fish.baitPreference > 0;
+    }
+
+    _neighborWeight(fish, neighbor) {
+        const weight = neighbor.species === fish.species ? 1.0 : this.otherSpeciesFlockingWeight;
+        return neighbor.isLeader && !fish.isLeader ? weight * this.leaderFlockingWeight : weight;
+    }
+
+    /**
+     * Keeps leaderCount living leaders per species. A leader that died or reached the goal
+     * hands over to the closest follower; a school short of leaders (a new level) elects the
+     * fish nearest its center.
+     */
+    _updateLeaders() {
+        if (this.leaderCount <= 0) return;
+
+        const leaderCounts = this._leaderCounts;
+        const vacancies = this._vacancies;
+        leaderCounts.clear();
+        vacancies.length = 0;
+
+        for (const fish of this.fish) {
+            if (!fish.isLeader) continue;
+
+            if (fish.alive) {
+                leaderCounts.set(fish.species, (leaderCounts.get(fish.species) || 0) + 1);
+            } else {
+                fish.isLeader = false;
+                vacancies.push(fish);
+            }
+        }
+
+        for (const leader of vacancies) {
+            if ((leaderCounts.get(leader.species) || 0) >= this.leaderCount) continue;
+
+            const successor = this._electLeader(leader.species, leader.position);
+            if (!successor) continue;
+
+            leaderCounts.set(leader.species, (leaderCounts.get(leader.species) || 0) + 1);
+            if (!leader.reachedGoal) console.log('👑 Leader lost, new leader elected');
+        }
+
+        for (const fish of this.fish) {
+            if (!fish.alive || fish.isLeader) continue;
+
+            let count = leaderCounts.get(fish.species) || 0;
+            if (count >= this.leaderCount) continue;
+
+            const center = this._getSchoolCenter(fish.species, _schoolCenter);
+            while (count < this.leaderCount && this._electLeader(fish.species, center)) {
+                count++;
+            }
+            leaderCounts.set(fish.species, count);
+        }
+    }
+
+    // Living follower of the species closest to position, made leader
+    _electLeader(species, position) {
+        let nearest = null;
+        let nearestDistSq = Infinity;
+
+        for (const fish of this.fish) {
+            if (!fish.alive || fish.isLeader || fish.species !== species) continue;
+
+            const distSq = fish.position.distanceToSquared(position);
+            if (distSq < nearestDistSq) {
+                nearestDistSq = distSq;
+                nearest = fish;
+            }
+        }
+
+        if (nearest) nearest.isLeader = true;
+        return nearest;
+    }
+
+    _getSchoolCenter(species, result) {
+        result.set(0, 0, 0);
+        let count = 0;
+
+        for (const fish of this.fish) {
+            if (!fish.alive || fish.species !== species) continue;
+            result.add(fish.position);
+            count++;
+        }
+
+        return count > 0 ? result.divideScalar(count) : result;
+    }
+
     updateNeighborhoods() {
         for (const fish of this.fish) {
             if (!fish.alive) continue;
 
-            fish.neighbors = [];
-            for (const other of this.fish) {
-                if (other === fish || !other.alive) continue;
+            const neighbors = fish.neighbors;
 
-                if (fish.position.distanceToSquared(other.position) < fish.perceptionRadius * fish.perceptionRadius) {
-                    fish.neighbors.push(other);
-                }
+            if (this.neighborMode === 'topological') {
+                this._viewer = fish;
+                this.spatialGrid.findKNearest(
+                    fish.position,
+                    this.topologicalNeighborCount,
+                    this.topologicalMaxRadius,
+                    neighbors,
+                    this._isVisibleNeighbor
+                );
+                continue;
             }
+
+            neighbors.length = 0;
+            this.spatialGrid.query(fish.position, fish.perceptionRadius, neighbors, fish);
+
+            // Drop the ones in the blind spot
+            let count = 0;
+            for (const neighbor of neighbors) {
+                if (fish.canSee(neighbor.position)) neighbors[count++] = neighbor;
+            }
+            neighbors.length = count;
         }
+
+        this._viewer = null;
     }
 
-    calculateSeparation(fish) {
-        const force = new THREE.Vector3();
-        if (fish.neighbors.length === 0) return force;
+    // Separation, alignment and cohesion read neighbors straight from the FishStore arrays
+    calculateSeparation(fish, result = new THREE.Vector3()) {
+        result.set(0, 0, 0);
+        if (fish.neighbors.length === 0) return result;
+
+        const position = fish.store.position;
+        const i = fish.index * 3;
+        const px = position[i], py = position[i + 1], pz = position[i + 2];
+        const otherSpeciesRadius = fish.separationRadius * this.otherSpeciesSeparationScale;
 
         for (const neighbor of fish.neighbors) {
-            const toAgent = new THREE.Vector3().subVectors(fish.position, neighbor.position);
-            let distance = toAgent.length();
+            const j = neighbor.index * 3;
+            const dx = px - position[j];
+            const dy = py - position[j + 1];
+            const dz = pz - position[j + 2];
+
+            const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            const distance = Math.max(length, 0.01);
 
-            if (distance <= 0.01) distance = 0.01;
+            const separationRadius = neighbor.species === fish.species ? fish.separationRadius : otherSpeciesRadius;
 
-            if (distance < fish.separationRadius) {
+            if (distance < separationRadius && length > 0) {
                 // Quadratic falloff for stronger repuslion when close
-                const normalizedDir = toAgent.clone().normalize();
-                const weightedForce = normalizedDir.multiplyScalar(1.0 / (distance * distance));
-                force.add(weightedForce);
+                const scale = 1.0 / (length * distance * distance);
+                result.x += dx * scale;
+                result.y += dy * scale;
+                result.z += dz * scale;
             }
         }
-        return force;
+        return result;
     }
 
-    calculateAlignment(fish) {
-        const force = new THREE.Vector3();
-        if (fish.neighbors.length === 0) return force;
+    calculateAlignment(fish, result = new THREE.Vector3()) {
+        result.set(0, 0, 0);
+        if (fish.neighbors.length === 0) return result;
+
+        const velocity = fish.store.velocity;
+        let x = 0, y = 0, z = 0;
+        let totalWeight = 0;
 
-        const averageVelocity = new THREE.Vector3();
         for (const neighbor of fish.neighbors) {
-            averageVelocity.add(neighbor.velocity);
+            const weight = this._neighborWeight(fish, neighbor);
+            const j = neighbor.index * 3;
+            x += velocity[j] * weight;
+            y += velocity[j + 1] * weight;
+            z += velocity[j + 2] * weight;
+            totalWeight += weight;
         }
 
-        averageVelocity.divideScalar(fish.neighbors.length);
-        if (averageVelocity.length() > 0) averageVelocity.normalize();
+        if (totalWeight === 0) return result;
 
-        return averageVelocity;
+        // Average velocity direction; the total weight doesn't change it
+        return result.set(x, y, z).normalize();
     }
 
-    calculateCohesion(fish) {
-        const force = new THREE.Vector3();
-        if (fish.neighbors.length === 0) return force;
+    calculateCohesion(fish, result = new THREE.Vector3()) {
+        result.set(0, 0, 0);
+        if (fish.neighbors.length === 0) return result;
+
+        const position = fish.store.position;
+        let x = 0, y = 0, z = 0;
+        let totalWeight = 0;
 
-        const centerOfMass = new THREE.Vector3();
         for (const neighbor of fish.neighbors) {
-            centerOfMass.add(neighbor.position);
+            const weight = this._neighborWeight(fish, neighbor);
+            const j = neighbor.index * 3;
+            x += position[j] * weight;
+            y += position[j + 1] * weight;
+            z += position[j + 2] * weight;
+            totalWeight += weight;
         }
 
-        centerOfMass.divideScalar(fish.neighbors.length);
-        force.subVectors(centerOfMass, fish.position);
+        if (totalWeight === 0) return result;
 
-        if (force.length() > 0) force.normalize();
+        // Toward the center of mass
+        const i = fish.index * 3;
+        return result.set(
+            x / totalWeight - position[i],
+            y / totalWeight - position[i + 1],
+            z / totalWeight - position[i + 2]
+        ).normalize();
+    }
 
-        return force;
+    /**
+     * Sets fish.fear and fish.escapeDirection from every visible predator inside the fish's
+     * fearRadius. Urgency grows quadratically as a predator closes in; escape directions from
+     * several predators are blended by urgency so fish run toward the safest gap.
+     */
+    updateFear(fish) {
+        const escapeDirection = fish.escapeDirection.set(0, 0, 0);
+        fish.fear = 0;
+        if (this.predators.length === 0) return;
+
+        const away = _away;
+
+        for (const predator of this.predators) {
+            away.subVectors(fish.position, predator.position);
+            const distance = away.length();
+            if (distance >= fish.fearRadius) continue;
+
+            // Predators in the blind spot can ambush
+            if (!fish.canSee(predator.position)) continue;
+
+            const closeness = 1.0 - distance / fish.fearRadius;
+            const urgency = closeness * closeness;
+
+            if (distance > 0.0001) {
+                away.divideScalar(distance);
+            } else {
+                fish.getDirection(away);
+            }
+
+            escapeDirection.addScaledVector(away, urgency);
+            fish.fear = Math.max(fish.fear, urgency);
+        }
     }
 
-    calculateSeek(fish, target) {
-        const desiredVelocity = new THREE.Vector3()
+    // Flee along the escape direction updateFear found, as hard as the fish is afraid
+    calculateFlee(fish, result = new THREE.Vector3()) {
+        result.set(0, 0, 0);
+        if (fish.fear === 0 || fish.escapeDirection.lengthSq() < 0.000001) return result;
+
+        // Tired fish can't sprint away as hard
+        const stamina = fish.getStamina();
+        const desiredVelocity = _escapeDirection.copy(fish.escapeDirection).normalize().multiplyScalar(fish.maxSpeed * stamina);
+        return result.subVectors(desiredVelocity, fish.velocity).multiplyScalar(fish.fear * stamina);
+    }
+
+    calculateSeek(fish, target, result = new THREE.Vector3()) {
+        // Desired velocity minus current velocity
+        return result
             .subVectors(target, fish.position)
             .normalize()
-            .multiplyScalar(fish.maxSpeed);
+            .multiplyScalar(fish.getMaxSpeed())
+            .sub(fish.velocity);
+    }
+
+    // Moves past route markers within pathRadius; false once the fish has reached the last one
+    _updateRouteProgress(fish) {
+        const radiusSq = this.pathRadius * this.pathRadius;
+
+        while (fish.routeIndex < this.route.length &&
+            fish.position.distanceToSquared(this.route[fish.routeIndex]) <= radiusSq) {
+            fish.routeIndex++;
+        }
 
-        return new THREE.Vector3().subVectors(desiredVelocity, fish.velocity);
+        return fish.routeIndex < this.route.length;
     }
 
-    calculateBoundaryAvoidance(fish) {
-        const force = new THREE.Vector3();
+    /**
+     * Reynolds path following along the segment toward the fish's next route marker.
+     * Inside the pathRadius corridor the fish heads for the marker; a fish about to leave it
+     * steers back to a point on the path a little ahead of where it would be.
+     */
+    calculatePathFollowing(fish, result = new THREE.Vector3()) {
+        const target = this.route[fish.routeIndex];
 
-        const distFromLeftX = fish.position.x - (-BOUNDARY_HALF_X);
-        const distFromRightX = BOUNDARY_HALF_X - fish.position.x;
-        const distFromGround = fish.position.y - BOUNDARY_MIN_Y;
-        const distFromCeiling = BOUNDARY_MAX_Y - fish.position.y;
-        const distFromBackZ = fish.position.z - (-BOUNDARY_HALF_Z);
-        const distFromFrontZ = BOUNDARY_HALF_Z - fish.position.z;
+        // Nothing to stay close to before the first marker
+        if (fish.routeIndex === 0) return this.calculateSeek(fish, target, result);
 
-        if (distFromLeftX < this.boundaryRadius && distFromLeftX > 0) force.x += 1.0 / distFromLeftX;
-        if (distFromRightX < this.boundaryRadius && distFromRightX > 0) force.x -= 1.0 / distFromRightX;
+        const start = this.route[fish.routeIndex - 1];
+        const segment = _segment.subVectors(target, start);
+        const segmentLengthSq = segment.lengthSq();
+        if (segmentLengthSq < 0.000001) return this.calculateSeek(fish, target, result);
 
-        if (distFromGround < this.boundaryRadius && distFromGround > 0) force.y += 1.0 / distFromGround;
-        if (distFromCeiling < this.boundaryRadius && distFromCeiling > 0) force.y -= 1.0 / distFromCeiling;
+        // Where the fish will be in a second
+        const predicted = _predicted.copy(fish.position).add(fish.velocity);
 
-        if (distFromBackZ < this.boundaryRadius && distFromBackZ > 0) force.z += 1.0 / distFromBackZ;
-        if (distFromFrontZ < this.boundaryRadius && distFromFrontZ > 0) force.z -= 1.0 / distFromFrontZ;
+        const t = THREE.MathUtils.clamp(_pathPoint.subVectors(predicted, start).dot(segment) / segmentLengthSq, 0, 1);
+        const pathPoint = _pathPoint.copy(start).addScaledVector(segment, t);
 
-        return force;
+        if (predicted.distanceToSquared(pathPoint) <= this.pathRadius * this.pathRadius) {
+            return this.calculateSeek(fish, target, result);
+        }
+
+        // Back toward the path, pathRadius further along it
+        const ahead = Math.min(1, t + this.pathRadius / Math.sqrt(segmentLengthSq));
+        return this.calculateSeek(fish, pathPoint.copy(start).addScaledVector(segment, ahead), result);
     }
 
-    //Adapted from Yuka for 3D
-    calculateObstacleAvoidance(fish) {
-        const force = new THREE.Vector3();
-        if (this.obstacles.length === 0) return force;
+    /**
+     * Reynolds wander in 3D: the target on the sphere ahead takes a small random step each
+     * update, so the heading drifts smoothly in any direction instead of jittering
+     */
+    calculateWander(fish, delta, result = new THREE.Vector3()) {
+        const target = fish.wanderTarget;
+        const jitter = fish.wanderJitter * delta;
+
+        target.x += (random.next() * 2 - 1) * jitter;
+        target.y += (random.next() * 2 - 1) * jitter;
+        target.z += (random.next() * 2 - 1) * jitter;
+        target.setLength(fish.wanderRadius);
+
+        return fish.getDirection(result)
+            .multiplyScalar(fish.wanderDistance)
+            .add(target)
+            .normalize();
+    }
 
-        const detectionBoxLength = this._calculateDetectionBoxLength(fish);
-        const fishLocalSpaceMatrix = this._createFishLocalSpaceMatrix(fish);
+    /**
+     * Pushes fish radially out of lit spotlight cones.
+     * Strength follows the renderer's spot attenuation: cone + penumbra falloff, intensity and distance decay.
+     */
+    calculateLightAvoidance(fish, result = new THREE.Vector3()) {
+        const force = result.set(0, 0, 0);
+
+        for (const light of this.lights) {
+            // Lights switched off with toggleAllSpotlights are hidden, not removed
+            if (!light.visible || light.intensity <= 0) continue;
+
+            const axis = _axis.subVectors(light.target.position, light.position);
+            if (axis.lengthSq() < 0.000001) continue;
+            axis.normalize();
+
+            const toFish = _toFish.subVectors(fish.position, light.position);
+            const distance = toFish.length();
+            if (distance < 0.001) continue;
+
+            const cosAngle = toFish.dot(axis) / distance;
+            const outerCos = Math.cos(light.angle);
+            if (cosAngle <= outerCos) continue;
+
+            const innerCos = Math.cos(light.angle * (1.0 - light.penumbra));
+            const coneFactor = innerCos > outerCos
+                ? THREE.MathUtils.smoothstep(cosAngle, outerCos, innerCos)
+                : 1.0;
+            const distanceFactor = 1.0 / Math.pow(Math.max(distance, 1.0), light.decay);
+            const strength = light.intensity * coneFactor * distanceFactor;
+
+            // Shortest way out of the cone is perpendicular to its axis
+            const pushDirection = toFish.addScaledVector(axis, -toFish.dot(axis));
+            if (pushDirection.lengthSq() < 0.000001) {
+                // Dead center: any perpendicular works, prefer a horizontal one
+                const reference = Math.abs(axis.y) < 0.99 ? _worldUp : _worldX;
+                pushDirection.crossVectors(axis, reference);
+            }
+            pushDirection.normalize();
 
-        const closestObstacleData = this._findClosestObstacleInPath(
-            fish,
-            fishLocalSpaceMatrix,
-            detectionBoxLength
-        );
+            force.addScaledVector(pushDirection, strength);
+        }
 
-        if (closestObstacleData) {
-            const avoidanceForce = this._calculateAvoidanceForce(
-                fish,
-                closestObstacleData,
-                detectionBoxLength
-            );
+        return force;
+    }
+
+    /**
+     * Water velocity at a position, summed over the current volumes containing it.
+     * Fades out over the outer edgeWidth of each volume so entities aren't jolted at the border.
+     */
+    calculateCurrentFlow(position, result = new THREE.Vector3()) {
+        result.set(0, 0, 0);
+        if (this.currents.length === 0) return result;
+
+        const local = _local;
+        const edgeWidth = 0.5;
 
-            this._transformForceToWorldSpace(avoidanceForce, fish.rotation);
-            const sphereToEllipsoidTransformation = new THREE.Matrix4().makeScale(
-                closestObstacleData.obstacle.scale.x,
-                closestObstacleData.obstacle.scale.y,
-                closestObstacleData.obstacle.scale.z
-            );
+        for (const current of this.currents) {
+            local.subVectors(position, current.position).applyQuaternion(current.inverseRotation);
 
-            avoidanceForce.applyMatrix4(sphereToEllipsoidTransformation);
-            return avoidanceForce;
+            const h = current.halfExtents;
+            const dx = h.x - Math.abs(local.x);
+            const dy = h.y - Math.abs(local.y);
+            const dz = h.z - Math.abs(local.z);
+            if (dx <= 0 || dy <= 0 || dz <= 0) continue;
+
+            const falloff = THREE.MathUtils.smoothstep(Math.min(dx, dy, dz), 0, edgeWidth);
+            result.addScaledVector(current.direction, current.strength * falloff);
         }
 
-        return force;
+        return result.multiplyScalar(this.currentWeight);
+    }
+
+    calculateBoundaryAvoidance(fish, result = new THREE.Vector3()) {
+        return worldBounds.calculateAvoidance(fish.position, this.boundaryRadius, result);
+    }
+
+    //Adapted from Yuka for 3D. Obstacle tests run in each obstacle's local space,
+    //where its rotated and scaled ellipsoid becomes a sphere of boundingRadius.
+    calculateObstacleAvoidance(fish, result = new THREE.Vector3()) {
+        return this._calculateObstacleAvoidance(fish, this._calculateDetectionBoxLength(fish), result);
     }
 
     _calculateDetectionBoxLength(fish) {
@@ -307,64 +1005,74 @@ export class FlockingSystem {
         return this.detectionBoxMinLength * (1 + speedRatio);
     }
 
-    _createFishLocalSpaceMatrix(fish) {
-        const fishWorldMatrix = new THREE.Matrix4();
-        fishWorldMatrix.compose(fish.position, fish.rotation, new THREE.Vector3(1, 1, 1));
-        return new THREE.Matrix4().copy(fishWorldMatrix).invert();
+    // Shared by fish and predators: anything with position, velocity and boundingRadius
+    _calculateObstacleAvoidance(entity, detectionBoxLength, result) {
+        result.set(0, 0, 0);
+        if (this.obstacles.length === 0) return result;
+
+        const speed = entity.velocity.length();
+        if (speed < 0.0001) return result;
+        const heading = _heading.copy(entity.velocity).divideScalar(speed);
+
+        const hit = this._findClosestObstacleInPath(entity, heading, detectionBoxLength);
+        if (!hit) {
+            entity.avoidanceObstacle = null;
+            return result;
+        }
+
+        return this._calculateAvoidanceForce(entity, heading, hit, detectionBoxLength, result);
     }
 
-    _findClosestObstacleInPath(fish, fishLocalSpaceMatrix, detectionBoxLength) {
-        let closestObstacle = null;
-        let closestDistance = Infinity;
-        let closestLocalPos = new THREE.Vector3();
+    /**
+     * Sweeps the entity's bounding sphere along its heading and returns the first obstacle
+     * it would touch within detectionBoxLength (a ray against a sphere in obstacle space)
+     */
+    _findClosestObstacleInPath(entity, heading, detectionBoxLength) {
+        const closest = this._hit;
+        let found = false;
+        const origin = _origin;
+        const direction = _localDirection;
 
         for (const obstacle of this.obstacles) {
-            const obstacleLocalPos = obstacle.position.clone().applyMatrix4(fishLocalSpaceMatrix);
-
-            // Check if obstacle is ahead (negative Z) and within detection range
-            const isAhead = obstacleLocalPos.z < 0;
-            const distanceAlongPath = Math.abs(obstacleLocalPos.z);
-            const inDetectionRange = distanceAlongPath < detectionBoxLength;
-
-            if (isAhead && inDetectionRange) {
-                // Transform to ellipsoid space (obstacle becomes unit sphere)
-                const invScale = new THREE.Vector3(
-                    1.0 / obstacle.scale.x,
-                    1.0 / obstacle.scale.y,
-                    1.0 / obstacle.scale.z
-                );
+            this._toObstacleSpace(obstacle, entity.position, origin);
+            this._directionToObstacleSpace(obstacle, heading, direction);
 
-                const obstacleInEllipsoidSpace = obstacleLocalPos.clone().multiply(invScale);
+            // Conservative: the entity's radius grows by the obstacle's largest inverse scale
+            const radius = obstacle.boundingRadius + entity.boundingRadius * obstacle.maxInverseScale;
 
-                // Use max inverse scale for conservative detection
-                const maxInvScale = Math.max(invScale.x, invScale.y, invScale.z);
-                const fishRadiusInEllipsoidSpace = fish.boundingRadius * maxInvScale;
-                const expandedRadius = obstacle.boundingRadius + fishRadiusInEllipsoidSpace;
+            // |origin + t * direction| = radius, t is the world distance travelled along heading
+            const a = direction.lengthSq();
+            const b = origin.dot(direction);
+            const c = origin.lengthSq() - radius * radius;
 
-                const lateralDistanceInEllipsoidSpace = this._calculateLateralDistance(obstacleInEllipsoidSpace);
+            let distance = 0;
+            if (c > 0) {
+                if (b >= 0) continue; // heading away
 
-                if (lateralDistanceInEllipsoidSpace < expandedRadius && distanceAlongPath < closestDistance) {
-                    closestDistance = distanceAlongPath;
-                    closestObstacle = obstacle;
-                    closestLocalPos.copy(obstacleLocalPos);
-                }
+                const discriminant = b * b - a * c;
+                if (discriminant < 0) continue; // passes by
+
+                distance = (-b - Math.sqrt(discriminant)) / a;
             }
-        }
 
-        return closestObstacle ? {
-            obstacle: closestObstacle,
-            localPosition: closestLocalPos,
-            distance: closestDistance
-        } : null;
-    }
+            if (distance > detectionBoxLength) continue;
+            if (found && distance >= closest.distance) continue;
+
+            found = true;
+            closest.obstacle = obstacle;
+            closest.distance = distance;
+            closest.radius = radius;
+
+            // Point of the path closest to the obstacle center, in obstacle space
+            closest.closestApproach.copy(origin).addScaledVector(direction, Math.max(0, -b / a));
+        }
 
-    _calculateLateralDistance(localPosition) {
-        return Math.sqrt(localPosition.x * localPosition.x + localPosition.y * localPosition.y);
+        return found ? closest : null;
     }
 
-    _calculateAvoidanceForce(fish, obstacleData, detectionBoxLength) {
-        const force = new THREE.Vector3();
-        const { obstacle, localPosition, distance } = obstacleData;
+    _calculateAvoidanceForce(entity, heading, hit, detectionBoxLength, result) {
+        const force = result.set(0, 0, 0);
+        const { obstacle, distance, closestApproach, radius } = hit;
 
         // Quadratic ease-in: gentle far away, strong up close
         const normalizedDist = distance / detectionBoxLength;
@@ -376,27 +1084,140 @@ export class FlockingSystem {
             : 0;
 
         const finalMultiplier = proximityMultiplier + veryCloseBoost;
-        const lateralDistance = this._calculateLateralDistance(localPosition);
 
-        // Lateral steering (X only to prevent oscillation)
-        if (lateralDistance > 0.001) {
-            force.x = (obstacle.boundingRadius - localPosition.x) * finalMultiplier;
-            force.y = 0;
-        } else {
-            // Direct hit: pick consistent side
-            force.x = obstacle.boundingRadius * finalMultiplier;
-            force.y = 0;
-        }
+        // Offset from the obstacle center to the path, perpendicular to the heading
+        const offset = this._vectorToWorldSpace(obstacle, closestApproach, _offset);
+        offset.addScaledVector(heading, -offset.dot(heading));
+
+        const escape = this._chooseEscapeDirection(entity, heading, obstacle, offset, radius);
+        const clearance = this._supportAlong(obstacle, escape, radius) - offset.dot(escape);
+        force.addScaledVector(escape, Math.max(0, clearance) * finalMultiplier);
 
-        // Braking force
+        // Braking
         const brakingMultiplier = 1.0 + (easingFactor * easingFactor * 2.0);
-        force.z = (obstacle.boundingRadius - distance) * this.brakingWeight * brakingMultiplier;
+        const brakingStrength = this._radiusAlong(obstacle, heading, radius) * easingFactor;
+        force.addScaledVector(heading, -brakingStrength * this.brakingWeight * brakingMultiplier);
 
         return force;
     }
 
-    _transformForceToWorldSpace(force, fishRotation) {
-        force.applyQuaternion(fishRotation);
+    /**
+     * Picks the cheapest way around the obstacle in 3D (over, under or to either side):
+     * the direction perpendicular to the heading that needs the least sideways travel,
+     * with tank walls counting against it. The previous choice gets a discount and the
+     * result turns gradually, so a fish commits to one side instead of oscillating.
+     */
+    _chooseEscapeDirection(entity, heading, obstacle, offset, radius) {
+        // Basis of the plane perpendicular to the heading
+        _side.crossVectors(heading, _worldUp);
+        if (_side.lengthSq() < 0.000001) _side.set(1, 0, 0);
+        _side.normalize();
+        _up.crossVectors(_side, heading).normalize();
+
+        let bestCost = Infinity;
+
+        // Straight away from the center is the cheapest way around a sphere
+        const offsetLength = offset.length();
+        if (offsetLength > 0.001) {
+            _candidate.copy(offset).divideScalar(offsetLength);
+            bestCost = this._escapeCost(obstacle, _candidate, offset, radius);
+            _bestEscape.copy(_candidate);
+        }
+
+        const samples = this.avoidanceDirectionSamples;
+        for (let i = 0; i < samples; i++) {
+            const angle = (i / samples) * Math.PI * 2;
+            _candidate.copy(_side).multiplyScalar(Math.cos(angle)).addScaledVector(_up, Math.sin(angle));
+
+            const cost = this._escapeCost(obstacle, _candidate, offset, radius);
+            if (cost < bestCost) {
+                bestCost = cost;
+                _bestEscape.copy(_candidate);
+            }
+        }
+
+        const direction = entity.avoidanceDirection;
+        const sameObstacle = entity.avoidanceObstacle === obstacle;
+        entity.avoidanceObstacle = obstacle;
+
+        if (sameObstacle) {
+            // Keep the previous side unless another is clearly cheaper
+            _candidate.copy(direction).addScaledVector(heading, -direction.dot(heading));
+            if (_candidate.lengthSq() > 0.000001) {
+                _candidate.normalize();
+                if (this._escapeCost(obstacle, _candidate, offset, radius) * this.avoidanceHysteresis <= bestCost) {
+                    _bestEscape.copy(_candidate);
+                }
+            }
+
+            // Damping: turn towards the new choice instead of snapping to it
+            direction.lerp(_bestEscape, this.avoidanceTurnRate);
+            direction.addScaledVector(heading, -direction.dot(heading));
+            if (direction.lengthSq() > 0.000001) {
+                return direction.normalize();
+            }
+        }
+
+        return direction.copy(_bestEscape);
+    }
+
+    // Sideways travel needed to clear the obstacle along direction, plus a penalty for leaving the tank
+    _escapeCost(obstacle, direction, offset, radius) {
+        const clearance = Math.max(0, this._supportAlong(obstacle, direction, radius) - offset.dot(direction));
+
+        // Where the fish passes the obstacle, with some room to spare
+        _escapePoint.copy(obstacle.position).add(offset).addScaledVector(direction, clearance + this.boundaryRadius);
+
+        return clearance + worldBounds.distanceOutside(_escapePoint) * 10.0;
+    }
+
+    // Precomputes the inverse transform used to move points into obstacle space
+    _prepareObstacle(obstacle) {
+        obstacle.inverseRotation = obstacle.rotation.clone().invert();
+        obstacle.inverseScale = new THREE.Vector3(
+            1.0 / obstacle.scale.x,
+            1.0 / obstacle.scale.y,
+            1.0 / obstacle.scale.z
+        );
+        obstacle.maxInverseScale = Math.max(obstacle.inverseScale.x, obstacle.inverseScale.y, obstacle.inverseScale.z);
+    }
+
+    _toObstacleSpace(obstacle, point, result) {
+        return result.subVectors(point, obstacle.position)
+            .applyQuaternion(obstacle.inverseRotation)
+            .multiply(obstacle.inverseScale);
+    }
+
+    _directionToObstacleSpace(obstacle, direction, result) {
+        return result.copy(direction)
+            .applyQuaternion(obstacle.inverseRotation)
+            .multiply(obstacle.inverseScale);
+    }
+
+    _vectorToWorldSpace(obstacle, vector, result) {
+        return result.copy(vector)
+            .multiply(obstacle.scale)
+            .applyQuaternion(obstacle.rotation);
+    }
+
+    // Normals transform with the inverse transpose: inverse scale, then rotation
+    _normalToWorldSpace(obstacle, normal, result) {
+        return result.copy(normal)
+            .multiply(obstacle.inverseScale)
+            .applyQuaternion(obstacle.rotation)
+            .normalize();
+    }
+
+    // World distance from the center to an obstacle-space sphere of `radius` along a world direction
+    _radiusAlong(obstacle, worldDirection, radius) {
+        const localLength = this._directionToObstacleSpace(obstacle, worldDirection, _support).length();
+        return localLength > 0 ? radius / localLength : radius;
+    }
+
+    // How far the obstacle-space sphere of `radius` reaches from the center along a world direction
+    _supportAlong(obstacle, worldDirection, radius) {
+        _support.copy(worldDirection).applyQuaternion(obstacle.inverseRotation).multiply(obstacle.scale);
+        return radius * _support.length();
     }
 
     getAliveFishCount() {
@@ -414,164 +1235,64 @@ export class FlockingSystem {
         if (!fish.alive) return;
 
         for (const obstacle of this.obstacles) {
-            // Transform fish position into ellipsoid's local space (unit sphere)
-            const fishPosRelative = new THREE.Vector3().subVectors(fish.position, obstacle.position);
-
-            const invScale = new THREE.Vector3(
-                1.0 / obstacle.scale.x,
-                1.0 / obstacle.scale.y,
-                1.0 / obstacle.scale.z
-            );
-            const fishInEllipsoidSpace = fishPosRelative.clone().multiply(invScale);
-            const distanceInEllipsoidSpace = fishInEllipsoidSpace.length();
-
-            const maxInvScale = Math.max(invScale.x, invScale.y, invScale.z);
-            const fishRadiusInEllipsoidSpace = fish.boundingRadius * maxInvScale;
-            const minDistance = obstacle.boundingRadius + fishRadiusInEllipsoidSpace;
-
-            if (distanceInEllipsoidSpace < minDistance) {
-                const penetrationDepth = minDistance - distanceInEllipsoidSpace;
-
-                // Push direction (NO Y to prevent oscillation)
-                let pushDirectionEllipsoidSpace;
-                if (distanceInEllipsoidSpace > 0.001) {
-                    pushDirectionEllipsoidSpace = fishInEllipsoidSpace.clone();
-                    pushDirectionEllipsoidSpace.y = 0;
-
-                    if (pushDirectionEllipsoidSpace.lengthSq() > 0.0001) {
-                        pushDirectionEllipsoidSpace.normalize();
-                    } else {
-                        pushDirectionEllipsoidSpace.set(1, 0, 1).normalize();
-                    }
-                } else {
-                    pushDirectionEllipsoidSpace = new THREE.Vector3(1, 0, 1).normalize();
-                }
-
-                const pushDirectionWorldSpace = pushDirectionEllipsoidSpace.clone().multiply(invScale).normalize();
+            if (!this._resolveObstacleCollision(fish, obstacle)) continue;
 
-                // Smooth repulsion via velocity
-                const repulsionStrength = (penetrationDepth + 0.3) * 12.0;
-                fish.velocity.add(pushDirectionWorldSpace.multiplyScalar(repulsionStrength));
-
-                // Dampen velocity toward obstacle
-                const toObstacle = new THREE.Vector3().subVectors(obstacle.position, fish.position);
-                const toObstacleNorm = toObstacle.normalize();
-                const velocityTowardObstacle = fish.velocity.dot(toObstacleNorm);
-                if (velocityTowardObstacle > 0) {
-                    fish.velocity.sub(toObstacleNorm.multiplyScalar(velocityTowardObstacle));
-                }
+            // Spiked rocks kill on contact
+            if (obstacle.lethal) {
+                fish.die('spikes');
+                return;
             }
         }
     }
 
-    calculateObstacleAvoidanceForPredator(predator) {
-        const force = new THREE.Vector3();
-        if (this.obstacles.length === 0) return force;
-
-        const predatorDetectionBoxMinLength = 2.0;
-        const speedRatio = predator.velocity.length() / predator.maxSpeed;
-        const detectionBoxLength = predatorDetectionBoxMinLength * (1 + speedRatio);
+    /**
+     * Pushes a fish or predator out of an obstacle it overlaps, returns whether they touched.
+     * Lethal obstacles are only reported, the caller kills the entity.
+     */
+    _resolveObstacleCollision(entity, obstacle) {
+        const local = this._toObstacleSpace(obstacle, entity.position, _local);
+        const distance = local.length();
+        const minDistance = obstacle.boundingRadius + entity.boundingRadius * obstacle.maxInverseScale;
 
-        // Proxy object to reuse fish logic
-        const predatorProxy = {
-            position: predator.position,
-            velocity: predator.velocity,
-            rotation: this._getPredatorRotation(predator),
-            maxSpeed: predator.maxSpeed,
-            boundingRadius: 0.5,
-            getSpeed: () => predator.velocity.length()
-        };
+        if (distance >= minDistance) return false;
+        if (obstacle.lethal) return true;
 
-        const predatorLocalSpaceMatrix = this._createFishLocalSpaceMatrix(predatorProxy);
-        const closestObstacleData = this._findClosestObstacleInPath(
-            predatorProxy,
-            predatorLocalSpaceMatrix,
-            detectionBoxLength
-        );
+        const penetrationDepth = minDistance - distance;
 
-        if (closestObstacleData) {
-            const avoidanceForce = this._calculateAvoidanceForce(
-                predatorProxy,
-                closestObstacleData,
-                detectionBoxLength
-            );
+        // Push along the surface normal, over and under included
+        const pushDirection = _pushDirection.set(0, 1, 0);
+        if (distance > 0.001) {
+            this._normalToWorldSpace(obstacle, local, pushDirection);
+        }
 
-            this._transformForceToWorldSpace(avoidanceForce, predatorProxy.rotation);
-            const sphereToEllipsoidTransformation = new THREE.Matrix4().makeScale(
-                closestObstacleData.obstacle.scale.x,
-                closestObstacleData.obstacle.scale.y,
-                closestObstacleData.obstacle.scale.z
-            );
+        // Smooth repulsion via velocity
+        const repulsionStrength = (penetrationDepth + 0.3) * 12.0;
+        entity.velocity.addScaledVector(pushDirection, repulsionStrength);
 
-            avoidanceForce.applyMatrix4(sphereToEllipsoidTransformation);
-            return avoidanceForce;
+        // Dampen velocity into the obstacle
+        const velocityIntoObstacle = -entity.velocity.dot(pushDirection);
+        if (velocityIntoObstacle > 0) {
+            entity.velocity.addScaledVector(pushDirection, velocityIntoObstacle);
         }
 
-        return force;
+        return true;
     }
 
-    _getPredatorRotation(predator) {
-        const rotation = new THREE.Quaternion();
-
-        if (predator.velocity.lengthSq() > 0.0001) {
-            const forward = predator.velocity.clone().normalize();
-            const up = new THREE.Vector3(0, 1, 0);
-
-            const right = new THREE.Vector3().crossVectors(up, forward).normalize();
-            const correctedUp = new THREE.Vector3().crossVectors(forward, right);
+    calculateObstacleAvoidanceForPredator(predator, result = new THREE.Vector3()) {
+        const predatorDetectionBoxMinLength = 2.0;
+        const speedRatio = predator.velocity.length() / predator.maxSpeed;
+        const detectionBoxLength = predatorDetectionBoxMinLength * (1 + speedRatio);
 
-            const rotMatrix = new THREE.Matrix4();
-            rotMatrix.makeBasis(right, correctedUp, forward.negate());
-            rotation.setFromRotationMatrix(rotMatrix);
-        }
-        return rotation;
+        return this._calculateObstacleAvoidance(predator, detectionBoxLength, result);
     }
 
     correctPredatorObstacleCollisions(predator) {
-        // Reuse logic manually as Predator isn't a Fish subclass
         for (const obstacle of this.obstacles) {
-            const predatorPosRelative = new THREE.Vector3().subVectors(predator.position, obstacle.position);
-
-            const invScale = new THREE.Vector3(
-                1.0 / obstacle.scale.x,
-                1.0 / obstacle.scale.y,
-                1.0 / obstacle.scale.z
-            );
-            const predatorInEllipsoidSpace = predatorPosRelative.clone().multiply(invScale);
-            const distanceInEllipsoidSpace = predatorInEllipsoidSpace.length();
-
-            const predatorBoundingRadius = 0.5;
-            const maxInvScale = Math.max(invScale.x, invScale.y, invScale.z);
-            const predatorRadiusInEllipsoidSpace = predatorBoundingRadius * maxInvScale;
-            const minDistance = obstacle.boundingRadius + predatorRadiusInEllipsoidSpace;
-
-            if (distanceInEllipsoidSpace < minDistance) {
-                const penetrationDepth = minDistance - distanceInEllipsoidSpace;
-
-                let pushDirectionEllipsoidSpace;
-                if (distanceInEllipsoidSpace > 0.001) {
-                    pushDirectionEllipsoidSpace = predatorInEllipsoidSpace.clone();
-                    pushDirectionEllipsoidSpace.y = 0;
-                    if (pushDirectionEllipsoidSpace.lengthSq() > 0.0001) {
-                        pushDirectionEllipsoidSpace.normalize();
-                    } else {
-                        pushDirectionEllipsoidSpace.set(1, 0, 1).normalize();
-                    }
-                } else {
-                    pushDirectionEllipsoidSpace = new THREE.Vector3(1, 0, 1).normalize();
-                }
-
-                const pushDirectionWorldSpace = pushDirectionEllipsoidSpace.clone().multiply(invScale).normalize();
+            if (!this._resolveObstacleCollision(predator, obstacle)) continue;
 
-                const repulsionStrength = (penetrationDepth + 0.3) * 12.0;
-                predator.velocity.add(pushDirectionWorldSpace.multiplyScalar(repulsionStrength));
-
-                const toObstacle = new THREE.Vector3().subVectors(obstacle.position, predator.position);
-                const toObstacleNorm = toObstacle.normalize();
-                const velocityTowardObstacle = predator.velocity.dot(toObstacleNorm);
-                if (velocityTowardObstacle > 0) {
-                    predator.velocity.sub(toObstacleNorm.multiplyScalar(velocityTowardObstacle));
-                }
+            if (obstacle.lethal) {
+                predator.die();
+                return;
             }
         }
     }
@@ -1,6 +1,15 @@
+import { random, SeededRandom } from './Random.js';
+import { getFishSpecies } from './LevelConfig.js';
+import { EventBus } from './EventBus.js';
+
 export class GameState {
-    constructor() {
-        this.phase = 'PREPARATION'; // PREPARATION, SIMULATION, EVALUATION
+    constructor(events = new EventBus()) {
+        // Shared with the simulation: fish events come in, phaseChanged and levelEnded go out
+        this.events = events;
+        this.events.on('fishDied', ({ fish }) => this.onFishDeath(fish));
+        this.events.on('fishSaved', ({ fish }) => this.onFishReachedGoal(fish));
+
+        this.phase = 'PREPARATION'; // PREPARATION, SIMULATION, EVALUATION, changed through setPhase
         this.paused = false;
 
         this.score = 100;
@@ -14,16 +23,25 @@ export class GameState {
         this.fishAlive = 50;
         this.fishSaved = 0;
 
+        // Per species: { name, total, saved, dead, required }
+        this.speciesStats = {};
+
+        // Deaths per Fish.deathCause, e.g. { predator: 4, collision: 2 }
+        this.deathCauses = {};
+
         this.currentLevel = 'level1';
         this.currentLevelId = 'level1';
         this.requiredSurvivalPercentage = 0.6;
 
+        // RNG seed of the current attempt; set fixedSeed to replay an attempt
+        this.seed = null;
+        this.fixedSeed = null;
+
         this.inventoryManager = null;
         this.objectManager = null;
         this.sceneManager = null;
 
         this.onSimulationStart = null;
-        this.onLevelEnd = null;
     }
 
     setInventoryManager(inventoryManager) {
@@ -38,22 +56,53 @@ export class GameState {
         this.sceneManager = sceneManager;
     }
 
+    setPhase = (phase) => {
+        const previousPhase = this.phase;
+        if (phase === previousPhase) return;
+
+        this.phase = phase;
+        this.events.emit('phaseChanged', { phase, previousPhase });
+    }
+
     loadLevel = (levelConfig, levelId = null) => {
         this.currentLevel = levelConfig.name || 'Unknown Level';
         this.currentLevelId = levelId || this.currentLevelId;
         this.currentLevelConfig = levelConfig; // Store full config for restart
         this.maxTime = levelConfig.maxTime || 30.0;
         this.requiredSurvivalPercentage = levelConfig.requiredSurvivalPercentage || 0.6;
-        this.fishTotal = levelConfig.fishConfig.count;
-        this.fishAlive = levelConfig.fishConfig.count;
-        this.fishSaved = 0;
+        this.resetFishCounts();
+
+        // Per-level behavior weights; fish and predator tuning is applied when they spawn
+        if (this.sceneManager) {
+            this.sceneManager.applyFlockingConfig(levelConfig.flockingConfig);
+        }
 
         console.log(`Loaded level: ${this.currentLevel}`);
-        console.log(`Fish: ${this.fishTotal}`);
+        console.log(`Fish: ${this.fishTotal} (${Object.values(this.speciesStats).map(stats => `${stats.total} ${stats.name}`).join(', ')})`);
         console.log(`Required survival: ${(this.requiredSurvivalPercentage * 100)}%`);
         console.log(`Max time: ${this.maxTime}s`);
     }
 
+    resetFishCounts = () => {
+        this.speciesStats = {};
+        this.deathCauses = {};
+        this.fishTotal = 0;
+
+        for (const species of getFishSpecies(this.currentLevelConfig)) {
+            this.speciesStats[species.id] = {
+                name: species.name,
+                total: species.count,
+                saved: 0,
+                dead: 0,
+                required: species.requiredSurvivalPercentage ?? null
+            };
+            this.fishTotal += species.count;
+        }
+
+        this.fishAlive = this.fishTotal;
+        this.fishSaved = 0;
+    }
+
     canStartGame = () => {
         if (this.phase !== 'PREPARATION') return false;
         if (!this.inventoryManager) return false;
@@ -81,11 +130,25 @@ export class GameState {
             return;
         }
 
-        this.phase = 'SIMULATION';
+        this.beginSimulation();
+    }
+
+    // Enters SIMULATION without the placement checks; the headless runner calls this directly
+    beginSimulation = () => {
         this.timeRemaining = this.maxTime;
         this.timeElapsed = 0;
 
-        console.log('Simulation started!');
+        if (this.fixedSeed !== null) {
+            this.seed = this.fixedSeed;
+        } else if (this.currentLevelConfig && this.currentLevelConfig.seed !== undefined) {
+            this.seed = this.currentLevelConfig.seed;
+        } else {
+            this.seed = SeededRandom.generateSeed();
+        }
+        random.setSeed(this.seed);
+
+        this.setPhase('SIMULATION');
+        console.log(`Simulation started! (seed ${this.seed})`);
 
         if (this.onSimulationStart) {
             this.onSimulationStart();
@@ -93,12 +156,11 @@ export class GameState {
     }
 
     restartLevel = () => {
-        this.phase = 'PREPARATION';
+        this.setPhase('PREPARATION');
         this.score = this.startingScore;
         this.timeRemaining = this.maxTime;
         this.timeElapsed = 0;
-        this.fishAlive = this.fishTotal;
-        this.fishSaved = 0;
+        this.resetFishCounts();
 
         // Clear all user-placed objects
         if (this.objectManager) {
@@ -113,52 +175,37 @@ export class GameState {
             this.sceneManager.clearSpawnZones();
             this.sceneManager.clearPredatorSpawnZones();
             this.sceneManager.removeGoalBait();
-            this.sceneManager.flockingSystem.clearBaits();
-
-            // Recreate goal zone
-            if (this.currentLevelConfig) {
-                const goalConfig = this.currentLevelConfig.goalConfig;
-                this.sceneManager.createGoalZone(
-                    goalConfig.position,
-                    goalConfig.radius,
-                    goalConfig.color
-                );
-            }
+            this.sceneManager.clearBaits();
 
-            // Recreate spawn zone
-            const fishConfig = this.currentLevelConfig.fishConfig;
-            this.sceneManager.createSpawnZone(
-                fishConfig.spawnPosition,
-                fishConfig.spawnSpread,
-                0xff9900
-            );
-
-            // Recreate predator spawn zones
-            const predatorConfig = this.currentLevelConfig.predatorConfig;
-            if (predatorConfig && predatorConfig.spawns) {
-                for (const spawn of predatorConfig.spawns) {
-                    this.sceneManager.createPredatorSpawnZone(spawn.position);
-                }
-            }
+            // Recreate goal, spawn and predator spawn zones
+            this.sceneManager.createLevelZones(this.currentLevelConfig);
         }
 
         console.log('Level restarted - place all items to begin');
     }
 
-    onFishDeath = () => {
+    onFishDeath = (fish = null) => {
         this.fishAlive = Math.max(0, this.fishAlive - 1);
         this.score -= 2;
         this.score = Math.max(0, this.score);
+
+        if (!fish) return;
+
+        const stats = this.speciesStats[fish.species];
+        if (stats) stats.dead++;
+
+        const cause = fish.deathCause || 'unknown';
+        this.deathCauses[cause] = (this.deathCauses[cause] || 0) + 1;
     }
 
-    onFishReachedGoal = () => {
+    onFishReachedGoal = (fish = null) => {
         this.fishSaved++;
-        // Fish dies when reaching goal (calls onDeath which decreases fishAlive)
-        // But we compensate by adding 1 back, so fishAlive only decreases for real deaths
-        this.fishAlive++;
-        
-        // Reward points for saving a fish
-        this.score += 3;
+
+        const stats = fish && this.speciesStats[fish.species];
+        if (stats) stats.saved++;
+
+        // Reward points for saving a fish: 3, less the 2 any fish leaving the tank costs
+        this.score = Math.max(0, this.score - 2) + 3;
     }
 
     update = (deltaTime) => {
@@ -183,10 +230,11 @@ export class GameState {
     }
 
     evaluateLevel = () => {
-        this.phase = 'EVALUATION';
+        this.setPhase('EVALUATION');
 
         const survivalRate = this.fishSaved / this.fishTotal;
-        const isWin = survivalRate >= this.requiredSurvivalPercentage;
+        const failedSpecies = this.getFailedSpecies();
+        const isWin = survivalRate >= this.requiredSurvivalPercentage && failedSpecies.length === 0;
 
         if (isWin) {
             this.score += 50;
@@ -196,11 +244,24 @@ export class GameState {
         } else {
             console.log('LEVEL FAILED');
             console.log(`Survival Rate: ${(survivalRate * 100).toFixed(1)}% (Required: ${(this.requiredSurvivalPercentage * 100)}%)`);
+            for (const stats of failedSpecies) {
+                console.log(`${stats.name}: ${stats.saved}/${stats.total} saved (Required: ${(stats.required * 100)}%)`);
+            }
             console.log(`Final Score: ${Math.floor(this.score)}`);
         }
 
-        if (this.onLevelEnd) {
-            this.onLevelEnd(isWin);
+        const causes = Object.entries(this.deathCauses);
+        if (causes.length > 0) {
+            console.log(`Deaths: ${causes.map(([cause, count]) => `${count} ${cause}`).join(', ')}`);
         }
+
+        this.events.emit('levelEnded', { isWin });
+    }
+
+    // Species whose own requiredSurvivalPercentage wasn't met
+    getFailedSpecies = () => {
+        return Object.values(this.speciesStats).filter(stats =>
+            stats.required !== null && stats.saved / stats.total < stats.required
+        );
     }
 }
\ No newline at end of file
@@ -0,0 +1,205 @@
+import * as THREE from 'three';
+import { Simulation, deserializeObstacle } from './Simulation.js';
+import { GameState } from './GameState.js';
+import { InventoryManager } from './Inventory.js';
+import { getLevelConfig, getFishSpecies, getGoalZones } from './LevelConfig.js';
+import { createObjectType } from './ObjectTypes.js';
+import { EventBus } from './EventBus.js';
+
+/**
+ * Runs one attempt of a level without a renderer, FBX loading or DOM, for batch
+ * testing and balancing in Node. Same seed and placements give the same result.
+ *
+ * placements: [{ type, position: [x, y, z], rotation?: [x, y, z], intensity?, strength?, colliders? }]
+ * as returned by ObjectManager.exportPlacements(). Rocks need their `colliders`;
+ * sceneColliders (SceneManager.exportSceneColliders()) adds the level's own rocks.
+ * flockingConfig is applied on top of the level's own flockingConfig.
+ * bounds (SceneManager.exportBounds()) replaces the level's bounds; needed for levels whose
+ * bounds come from a collider FBX, which can't be loaded here.
+ *
+ * The timeline holds events plus a sample every sampleInterval seconds with the flock
+ * metrics of that moment (see FlockMetrics.js), for tuning weights.
+ */
+export function runLevel(levelId, placements = [], options = {}) {
+    const {
+        seed,
+        maxTime,
+        timeStep = 1 / 60,
+        sampleInterval = 1,
+        sceneColliders = [],
+        flockingConfig = {},
+        bounds = null,
+        log = false
+    } = options;
+
+    const levelConfig = getLevelConfig(levelId);
+    if (!levelConfig) {
+        throw new Error(`Unknown level: ${levelId}`);
+    }
+
+    const consoleLog = console.log;
+    if (!log) console.log = () => {};
+
+    try {
+        const events = new EventBus();
+        const simulation = new Simulation(events);
+        const gameState = new GameState(events);
+        const inventoryManager = new InventoryManager();
+        const timeline = [];
+
+        inventoryManager.setLevel(levelId);
+        gameState.setInventoryManager(inventoryManager);
+        gameState.loadLevel(levelConfig, levelId);
+        // Options override the level, e.g. { neighborMode: 'topological' } to compare models
+        simulation.applyFlockingConfig({ ...levelConfig.flockingConfig, ...flockingConfig });
+        simulation.setBounds(bounds || resolveBounds(levelConfig));
+
+        if (maxTime !== undefined) {
+            gameState.maxTime = maxTime;
+        }
+
+        const goalZones = getGoalZones(levelConfig);
+        for (const goal of goalZones) {
+            simulation.addGoalZone(goal.position, goal.radius, goal.species);
+        }
+
+        for (const data of sceneColliders) {
+            simulation.addObstacle(deserializeObstacle(data));
+        }
+
+        const route = [];
+        for (const placement of placements) {
+            placeObject(simulation, inventoryManager, placement, route);
+        }
+        simulation.setRoute(route);
+
+        // GameState counts deaths and saves off the same bus
+        events.on('fishDied', ({ cause }) => {
+            timeline.push({ time: gameState.timeElapsed, event: 'fishDied', cause });
+        });
+        events.on('fishSaved', () => {
+            timeline.push({ time: gameState.timeElapsed, event: 'fishSaved' });
+        });
+        events.on('baitBitten', () => {
+            timeline.push({ time: gameState.timeElapsed, event: 'baitBitten' });
+        });
+        events.on('baitConsumed', () => {
+            timeline.push({ time: gameState.timeElapsed, event: 'baitConsumed' });
+        });
+
+        if (seed !== undefined) {
+            gameState.fixedSeed = seed;
+        }
+
+        let won = false;
+        events.on('levelEnded', ({ isWin }) => {
+            won = isWin;
+        });
+
+        // Same spawn order as the browser's onSimulationStart, so seeds replay identically
+        gameState.beginSimulation();
+
+        for (const species of getFishSpecies(levelConfig)) {
+            simulation.spawnSpecies(species);
+        }
+
+        const predatorConfig = levelConfig.predatorConfig;
+        if (predatorConfig && predatorConfig.spawns) {
+            for (const spawn of predatorConfig.spawns) {
+                simulation.spawnPredator(spawn.position, levelConfig.predatorTuning);
+            }
+        }
+
+        for (const goal of goalZones) {
+            simulation.addBait({
+                position: goal.position.clone(),
+                userData: { isGoalBait: true, species: goal.species }
+            });
+        }
+
+        let nextSample = 0;
+        while (gameState.phase === 'SIMULATION') {
+            if (gameState.timeElapsed >= nextSample) {
+                timeline.push(sample(gameState, simulation));
+                nextSample += sampleInterval;
+            }
+
+            simulation.update(timeStep);
+            gameState.update(timeStep);
+        }
+        timeline.push(sample(gameState, simulation));
+
+        return {
+            levelId,
+            seed: gameState.seed,
+            won,
+            fishTotal: gameState.fishTotal,
+            saved: gameState.fishSaved,
+            dead: gameState.fishTotal - gameState.fishAlive,
+            alive: gameState.fishAlive - gameState.fishSaved,
+            score: Math.floor(gameState.score),
+            species: structuredClone(gameState.speciesStats),
+            deathCauses: { ...gameState.deathCauses },
+            timeElapsed: gameState.timeElapsed,
+            timeline
+        };
+    } finally {
+        console.log = consoleLog;
+    }
+}
+
+// Box, cylinder and union bounds are plain data; collider FBX bounds need the browser
+function resolveBounds(levelConfig) {
+    const bounds = levelConfig.bounds;
+    if (bounds && bounds.type === 'fbx') {
+        console.warn(`Level bounds come from ${bounds.path}, pass options.bounds; using the default box`);
+        return undefined;
+    }
+    return bounds;
+}
+
+// Route markers are collected into `route` in placement order
+function placeObject(simulation, inventoryManager, placement, route) {
+    const { type } = placement;
+
+    if (!inventoryManager.canPlace(type)) {
+        throw new Error(`Placement exceeds the level inventory: ${type}`);
+    }
+    inventoryManager.recordPlacement(type);
+
+    const position = new THREE.Vector3().fromArray(placement.position);
+    const rotation = new THREE.Euler().fromArray(placement.rotation || [0, 0, 0]);
+
+    if (type === 'bait') {
+        simulation.addBait({ position, userData: { type, ...createObjectType(type).getBaitData() } });
+    } else if (type === 'routeMarker') {
+        route.push(position);
+    } else if (type === 'spotlight') {
+        // 6.0 is ObjectManager's default spotlight intensity
+        const spotlight = createObjectType(type).createLight(position, rotation, placement.intensity ?? 6.0);
+        simulation.addLight(spotlight);
+    } else if (type === 'current') {
+        simulation.addCurrent(createObjectType(type).createVolume(position, rotation, placement.strength));
+    } else if (placement.colliders) {
+        for (const data of placement.colliders) {
+            simulation.addObstacle(deserializeObstacle(data));
+        }
+    } else {
+        console.warn(`Placement "${type}" has no colliders, skipped`);
+    }
+}
+
+function sample(gameState, simulation) {
+    let alive = 0;
+    for (const fish of simulation.fish) {
+        if (fish.alive) alive++;
+    }
+
+    return {
+        time: gameState.timeElapsed,
+        alive,
+        saved: gameState.fishSaved,
+        score: gameState.score,
+        metrics: simulation.flockingSystem.metrics.toJSON()
+    };
+}
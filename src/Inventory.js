@@ -18,8 +18,11 @@ export class InventoryManager {
             rock1: 0,
             rock2: 0,
             rock3: 0,
+            spikedRock: 0,
             bait: 0,
-            spotlight: 0
+            routeMarker: 0,
+            spotlight: 0,
+            current: 0
         };
     }
 
@@ -3,10 +3,25 @@ import * as THREE from 'three';
 /**
  * Level configurations
  * Each level defines:
- * - fishConfig: spawn position, count, and spread area
+ * - fishConfig: spawn position, count, and spread area, or a `species` list (see getFishSpecies)
  * - goalConfig: goal zone position and radius
  * - inventory: available items for placement
  * - predatorConfig: predator spawn positions
+ *
+ * Optional tuning blocks (any subset of keys, everything else keeps its default):
+ * - flockingConfig: behavior weights and neighborMode, see DEFAULT_FLOCKING_CONFIG in FlockingSystem.js
+ *   Its behaviorSettings and behaviorOrder switch off or reorder steering behaviors, e.g.
+ *   behaviorSettings: { wander: { enabled: false } }
+ * - fishTuning: per-fish limits, see DEFAULT_FISH_TUNING in Fish.js
+ * - predatorTuning: predator speed and radii, see DEFAULT_PREDATOR_TUNING in Predator.js
+ * - seed: fixed RNG seed for every attempt (otherwise each attempt rolls a new one)
+ * - bounds: play volume, the default tank if omitted. A box, cylinder or union of boxes
+ *   (see WorldBounds.js), or { type: 'fbx', path, scale } to build a union from a collider model,
+ *   scale taking model units to scene units (0.05 for the Blender exports in assets/models)
+ *
+ * Species entries: { id, name, count, spawnPosition, spawnSpread, model?, modelScale?,
+ * fishTuning?, goal?: { position, radius, color }, requiredSurvivalPercentage? }.
+ * Species without their own goal share goalConfig.
  */
 export const LEVEL_CONFIGS = {
     level1: {
@@ -94,10 +109,119 @@ export const LEVEL_CONFIGS = {
         },
         requiredSurvivalPercentage: 0.7,
         maxTime: 55
+    },
+
+    level4: {
+        name: 'Level 4 - Mixed School',
+        fishConfig: {
+            species: [
+                {
+                    id: 'koi',
+                    name: 'Koi',
+                    count: 70,
+                    spawnPosition: new THREE.Vector3(-16, 6, -16),
+                    spawnSpread: new THREE.Vector3(2, 2, 2),
+                    requiredSurvivalPercentage: 0.7
+                },
+                {
+                    // Small, quick and greedy: darts between baits instead of following the koi
+                    id: 'minnow',
+                    name: 'Minnow',
+                    count: 30,
+                    spawnPosition: new THREE.Vector3(-16, 9, -12),
+                    spawnSpread: new THREE.Vector3(2, 1, 2),
+                    modelScale: new THREE.Vector3(0.006, 0.006, 0.006),
+                    fishTuning: {
+                        maxSpeed: 2.6,
+                        perceptionRadius: 2.0,
+                        separationRadius: 0.6,
+                        baitPreference: 2.0
+                    },
+                    requiredSurvivalPercentage: 0.5
+                }
+            ]
+        },
+        goalConfig: {
+            position: new THREE.Vector3(4, 4, 0),
+            radius: 2,
+            color: 0x00ff00
+        },
+        predatorConfig: {
+            spawns: [
+                { position: new THREE.Vector3(16, 3, 16) },
+                { position: new THREE.Vector3(0, 3, 10) },
+                { position: new THREE.Vector3(16, 3, 0) }
+            ]
+        },
+        inventory: {
+            rock1: 4,
+            rock2: 3,
+            rock3: 2,
+            bait: 5,
+            spotlight: 1
+        },
+        requiredSurvivalPercentage: 0.7,
+        maxTime: 55
     }
 };
 
 
+const DEFAULT_FISH_MODEL = '../assets/models/koifish.fbx';
+
+/**
+ * Species list of a level with defaults filled in. A plain fishConfig (count, spawnPosition,
+ * spawnSpread) is a single 'koi' species. fishTuning is the level's fishTuning with the
+ * species' own keys on top.
+ */
+export function getFishSpecies(levelConfig) {
+    const fishConfig = levelConfig.fishConfig;
+    const speciesList = fishConfig.species || [{
+        id: 'koi',
+        name: 'Koi',
+        count: fishConfig.count,
+        spawnPosition: fishConfig.spawnPosition,
+        spawnSpread: fishConfig.spawnSpread
+    }];
+
+    return speciesList.map(species => ({
+        ...species,
+        name: species.name || species.id,
+        model: species.model || DEFAULT_FISH_MODEL,
+        modelScale: species.modelScale || new THREE.Vector3(0.01, 0.01, 0.01),
+        fishTuning: { ...levelConfig.fishTuning, ...species.fishTuning },
+        goal: species.goal || null
+    }));
+}
+
+/**
+ * Goal zones of a level: one per species goal, plus goalConfig for the species without one.
+ * `species` lists who is saved there, null means every species.
+ */
+export function getGoalZones(levelConfig) {
+    const species = getFishSpecies(levelConfig);
+    const zones = [];
+
+    for (const entry of species) {
+        if (entry.goal) {
+            zones.push({ ...entry.goal, species: [entry.id] });
+        }
+    }
+
+    const sharedSpecies = species.filter(entry => !entry.goal).map(entry => entry.id);
+    if (sharedSpecies.length > 0) {
+        zones.push({
+            ...levelConfig.goalConfig,
+            species: sharedSpecies.length === species.length ? null : sharedSpecies
+        });
+    }
+
+    return zones;
+}
+
+export function getFishTotal(levelConfig) {
+    return getFishSpecies(levelConfig).reduce((total, species) => total + species.count, 0);
+}
+
 export function getLevelConfig(levelId) {
     return LEVEL_CONFIGS[levelId] || null;
 }
@@ -8,6 +8,9 @@ export class PlaceableObject {
         this.size = 2;
         this.color = 0x8b7355;
         this.previewColor = 0x00ff00;
+
+        // Multiplies an FBX model's own texture, null keeps it as is
+        this.tint = null;
     }
 
     createGeometry() {
@@ -76,6 +79,31 @@ export class Rock3 extends PlaceableObject {
     }
 }
 
+export class SpikedRock extends PlaceableObject {
+    constructor() {
+        super();
+        this.type = 'spikedRock';
+        this.size = 2;
+        this.color = 0x8b1a1a; // Dark red
+        this.previewColor = 0xff3030;
+
+        this.usesFBXModel = true;
+        this.fbxMeshPath = '../assets/models/SM_Rocks_09.fbx';
+        this.fbxBoundariesPath = '../assets/models/RockCollider.fbx';
+        this.fbxScale = new THREE.Vector3(0.03, 0.03, 0.03);
+
+        // Same model as rock1, so it needs to look red to read as lethal
+        this.tint = 0xff4a3a;
+
+        // Colliders kill fish and predators on contact instead of pushing them away
+        this.lethal = true;
+    }
+
+    createGeometry() {
+        return new THREE.BoxGeometry(2.5 * GAME_SCALE, 2 * GAME_SCALE, 2 * GAME_SCALE);
+    }
+}
+
 export class Bait extends PlaceableObject {
     constructor() {
         super();
@@ -83,11 +111,43 @@ export class Bait extends PlaceableObject {
         this.size = 0.8;
         this.color = 0xff69b4; // Pink
         this.previewColor = 0x00ff00;
+
+        // Bites before it is gone, at most one every biteInterval seconds
+        this.bites = 3;
+        this.biteInterval = 0.5;
+
+        // Fish further away don't notice it; its pull halves every attractionHalfLife seconds
+        this.attractionRadius = 10 * GAME_SCALE;
+        this.attractionHalfLife = 30;
     }
 
     createGeometry() {
         return new THREE.SphereGeometry(0.4 * GAME_SCALE, 16, 16);
     }
+
+    // Kept in the placed bait's userData, where FlockingSystem reads it
+    getBaitData() {
+        return {
+            bites: this.bites,
+            biteInterval: this.biteInterval,
+            attractionRadius: this.attractionRadius,
+            attractionHalfLife: this.attractionHalfLife
+        };
+    }
+}
+
+export class RouteMarker extends PlaceableObject {
+    constructor() {
+        super();
+        this.type = 'routeMarker';
+        this.size = 0.6;
+        this.color = 0x9b59ff; // Purple
+        this.previewColor = 0x00ff00;
+    }
+
+    createGeometry() {
+        return new THREE.OctahedronGeometry(0.3 * GAME_SCALE);
+    }
 }
 
 export class Spotlight extends PlaceableObject {
@@ -97,11 +157,96 @@ export class Spotlight extends PlaceableObject {
         this.size = 1;
         this.color = 0xffaa00; // Orange
         this.previewColor = 0xffff00; // Yellow
+
+        // Light cone
+        this.angle = Math.PI / 9;
+        this.penumbra = 0.2;
+        this.decay = 1;
+        this.targetDistance = 10;
     }
 
     createGeometry() {
         return new THREE.ConeGeometry(0.5 * GAME_SCALE, 1 * GAME_SCALE, 8);
     }
+
+    // Light and its target, pointing down the rotated -Y axis. Not added to any scene.
+    createLight(position, rotation, intensity) {
+        const spotlight = new THREE.SpotLight(0xffffff, intensity);
+        spotlight.position.copy(position);
+        spotlight.rotation.copy(rotation);
+        spotlight.angle = this.angle;
+        spotlight.penumbra = this.penumbra;
+        spotlight.decay = this.decay;
+        spotlight.distance = 0;
+
+        const direction = new THREE.Vector3(0, -1, 0).applyEuler(rotation);
+        const target = new THREE.Object3D();
+        target.position.copy(position).addScaledVector(direction, this.targetDistance);
+        spotlight.target = target;
+
+        return spotlight;
+    }
+}
+
+export class Current extends PlaceableObject {
+    constructor() {
+        super();
+        this.type = 'current';
+        this.size = 3;
+        this.color = 0x3fa9f5; // Light blue
+        this.previewColor = 0x00ffff; // Cyan
+
+        // Box volume; water flows along its local +Z axis
+        this.halfExtents = new THREE.Vector3(1, 1, 2.5);
+        this.strength = 1.0; // water speed at the center, units/s
+    }
+
+    createGeometry() {
+        return new THREE.BoxGeometry(
+            this.halfExtents.x * 2 * GAME_SCALE,
+            this.halfExtents.y * 2 * GAME_SCALE,
+            this.halfExtents.z * 2 * GAME_SCALE
+        );
+    }
+
+    // Arrows along the flow, added as children of the volume mesh
+    createFlowIndicator() {
+        const indicator = new THREE.Group();
+        const length = this.halfExtents.z * 1.2 * GAME_SCALE;
+
+        for (const x of [-0.5, 0.5]) {
+            for (const y of [-0.5, 0.5]) {
+                const origin = new THREE.Vector3(
+                    x * this.halfExtents.x * GAME_SCALE,
+                    y * this.halfExtents.y * GAME_SCALE,
+                    -length / 2
+                );
+                const arrow = new THREE.ArrowHelper(new THREE.Vector3(0, 0, 1), origin, length, this.color, 0.6, 0.3);
+                indicator.add(arrow);
+            }
+        }
+
+        // Clicks and placement rays should hit the volume, not the arrows
+        indicator.traverse(child => {
+            child.raycast = () => {};
+        });
+
+        return indicator;
+    }
+
+    // Plain volume data for FlockingSystem.addCurrent
+    createVolume(position, rotation, strength = this.strength) {
+        const quaternion = new THREE.Quaternion().setFromEuler(rotation);
+
+        return {
+            position: position.clone(),
+            rotation: quaternion,
+            inverseRotation: quaternion.clone().invert(),
+            halfExtents: this.halfExtents.clone().multiplyScalar(GAME_SCALE),
+            direction: new THREE.Vector3(0, 0, 1).applyQuaternion(quaternion),
+            strength: strength
+        };
+    }
 }
 
 export function createObjectType(shape) {
@@ -109,8 +254,11 @@ export function createObjectType(shape) {
         case 'rock1': return new Rock1();
         case 'rock2': return new Rock2();
         case 'rock3': return new Rock3();
+        case 'spikedRock': return new SpikedRock();
         case 'bait': return new Bait();
+        case 'routeMarker': return new RouteMarker();
         case 'spotlight': return new Spotlight();
+        case 'current': return new Current();
         default:
             console.warn(`Unknown object type "${shape}", using default PlaceableObject`);
             return new PlaceableObject();
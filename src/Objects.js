@@ -1,11 +1,21 @@
-import { GAME_SCALE, BOUNDARY_HALF_X, BOUNDARY_HALF_Z, BOUNDARY_MIN_Y, BOUNDARY_MAX_Y } from "./FlockingSystem.js";
+import { GAME_SCALE } from "./FlockingSystem.js";
 import * as THREE from 'three';
+import { worldBounds } from './WorldBounds.js';
 import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
 import { InventoryManager } from './Inventory.js';
 import { createObjectType } from './ObjectTypes.js';
+import { serializeObstacle } from './Simulation.js';
+import { EventBus } from './EventBus.js';
+
+// ArrowHelpers (current flow indicators) own their line and cone geometry and materials
+function disposeArrows(object) {
+    object.traverse((child) => {
+        if (child.type === 'ArrowHelper') child.dispose();
+    });
+}
 
 export class ObjectManager {
-    constructor(scene, camera, canvas, sceneManager = null, shaderManager = null) {
+    constructor(scene, camera, canvas, sceneManager = null, shaderManager = null, events = new EventBus()) {
         this.scene = scene;
         this.camera = camera;
         this.canvas = canvas;
@@ -15,6 +25,9 @@ export class ObjectManager {
 
         this.placedObjects = [];
         this.previewObject = null;
+
+        // Dashed line through the route markers, in the order fish visit them
+        this.routeLine = null;
         this.previewSpotlight = null;
         this.previewSpotlightTarget = null;
         this.buildMode = false;
@@ -44,6 +57,12 @@ export class ObjectManager {
         this.maxSpotlightIntensity = 20.0;
         this.intensityStep = 0.5;
 
+        // Current settings
+        this.currentStrength = 1.0;
+        this.minCurrentStrength = 0.25;
+        this.maxCurrentStrength = 3.0;
+        this.currentStrengthStep = 0.25;
+
         this.inventoryManager = new InventoryManager();
         this.inventoryManager.setLevel('level1');
 
@@ -60,7 +79,9 @@ export class ObjectManager {
         this.onContextMenu = this.onContextMenu.bind(this);
 
         this.canvas.addEventListener('click', this.onCanvasClick);
-        this.onInventoryChange = null;
+
+        // objectPlaced, objectRemoved and inventoryChanged go out here
+        this.events = events;
     }
 
     toggleBuildModeWithShape(shape) {
@@ -172,6 +193,10 @@ export class ObjectManager {
             this.scene.add(this.previewObject);
         }
 
+        if (objectType.createFlowIndicator) {
+            this.previewObject.add(objectType.createFlowIndicator());
+        }
+
         if (this.selectedShape === 'spotlight') {
             this.previewSpotlight = new THREE.SpotLight(0xffffff, this.spotlightIntensity);
             this.previewSpotlight.angle = Math.PI / 9;
@@ -218,6 +243,7 @@ export class ObjectManager {
             } else {
                 if (this.previewObject.geometry) this.previewObject.geometry.dispose();
                 if (this.previewObject.material) this.previewObject.material.dispose();
+                disposeArrows(this.previewObject);
             }
             this.previewObject = null;
         }
@@ -377,13 +403,10 @@ export class ObjectManager {
         const safetyMargin = 1.0;
         const totalBuffer = objectRadius + safetyMargin;
 
-        position.x = Math.max(-BOUNDARY_HALF_X + totalBuffer, Math.min(BOUNDARY_HALF_X - totalBuffer, position.x));
-        position.z = Math.max(-BOUNDARY_HALF_Z + totalBuffer, Math.min(BOUNDARY_HALF_Z - totalBuffer, position.z));
+        worldBounds.clamp(position, totalBuffer);
 
         if (objectTypeData.requiresGroundPlacement) {
-            position.y = 0.2;
-        } else {
-            position.y = Math.max(BOUNDARY_MIN_Y + totalBuffer, Math.min(BOUNDARY_MAX_Y - totalBuffer, position.y));
+            position.y = worldBounds.getBoundingBox().min.y + 0.2;
         }
 
         this.previewObject.position.copy(position);
@@ -529,6 +552,14 @@ export class ObjectManager {
             this.sceneManager.unregisterBait(obj);
         }
 
+        if (objectType === 'spotlight' && this.sceneManager) {
+            this.sceneManager.unregisterLight(obj);
+        }
+
+        if (objectType === 'current' && this.sceneManager) {
+            this.sceneManager.unregisterCurrent(obj.userData.current);
+        }
+
         if (obj.userData.boundaries && this.sceneManager) {
             console.log(`Removing ${obj.userData.boundaries.length} boundary collider(s)...`);
             this.sceneManager.removeObstacles(obj.userData.boundaries);
@@ -565,19 +596,30 @@ export class ObjectManager {
         } else {
             if (obj.geometry) obj.geometry.dispose();
             if (obj.material) obj.material.dispose();
+            disposeArrows(obj);
         }
 
         this.collidables = this.collidables.filter(entry => entry.mesh !== obj);
         this.placedObjects.splice(index, 1);
         this.inventoryManager.recordRemoval(objectType);
 
-        if (this.onInventoryChange) {
-            this.onInventoryChange();
+        // A re-placed marker goes to the end of the route
+        if (objectType === 'routeMarker') {
+            this.updateRoute();
         }
 
+        this.events.emit('objectRemoved', { object: obj, type: objectType });
+        this.events.emit('inventoryChanged');
+
         console.log(`Removed ${objectType}`);
     }
 
+    // Shrinks the bait by volume as bites are taken
+    biteBait(baitObject) {
+        const { bitesLeft, bites } = baitObject.userData;
+        baitObject.scale.setScalar(Math.cbrt(bitesLeft / bites));
+    }
+
     consumeBait(baitObject) {
         const index = this.placedObjects.indexOf(baitObject);
         if (index === -1) return;
@@ -592,9 +634,7 @@ export class ObjectManager {
         this.placedObjects.splice(index, 1);
         this.inventoryManager.recordRemoval(objectType);
 
-        if (this.onInventoryChange) {
-            this.onInventoryChange();
-        }
+        this.events.emit('inventoryChanged');
 
         console.log(`Bait consumed by fish and returned to inventory`);
     }
@@ -622,7 +662,7 @@ export class ObjectManager {
                 const textures = this.extractTexturesFromFBX(fbx);
 
                 if (this.shaderManager) {
-                    this.createShaderMaterialsForFBX(fbx, textures);
+                    this.createShaderMaterialsForFBX(fbx, textures, objectTypeData.tint);
                     this.applyShaderToFBX(fbx, this.shaderManager.activeShader);
                 } else {
                     // Fallback materials
@@ -639,6 +679,8 @@ export class ObjectManager {
 
                                     if (!mat.map) {
                                         mat.color.setHex(this.getPlacedColor(this.selectedShape));
+                                    } else if (objectTypeData.tint !== null) {
+                                        mat.color.setHex(objectTypeData.tint);
                                     }
                                 }
                             });
@@ -664,9 +706,8 @@ export class ObjectManager {
 
                 this.inventoryManager.recordPlacement(this.selectedShape);
 
-                if (this.onInventoryChange) {
-                    this.onInventoryChange();
-                }
+                this.events.emit('objectPlaced', { object: fbx, type: this.selectedShape });
+                this.events.emit('inventoryChanged');
 
                 console.log(`Placed FBX object ${this.selectedShape} #${this.placedObjects.length}`);
 
@@ -677,7 +718,8 @@ export class ObjectManager {
                             objectTypeData.fbxBoundariesPath,
                             position,
                             scale,
-                            rotation
+                            rotation,
+                            objectTypeData.lethal
                         );
                         fbx.userData.boundaries = boundaryData;
                         console.log(`Boundaries loaded for ${this.selectedShape} (${boundaryData.length} colliders)`);
@@ -708,7 +750,7 @@ export class ObjectManager {
         return textures;
     }
 
-    createShaderMaterialsForFBX(fbx, textures) {
+    createShaderMaterialsForFBX(fbx, textures, tint = null) {
         if (!this.shaderManager) return;
 
         fbx.userData.shaderMaterials = {
@@ -730,6 +772,12 @@ export class ObjectManager {
                 const underwaterMaterial = this.shaderManager.createShaderMaterial('underwater', texture);
                 fbx.userData.shaderMaterials.underwater.set(child.uuid, underwaterMaterial);
 
+                if (tint !== null) {
+                    phongMaterial.uniforms.materialColor.value.setHex(tint);
+                    toonMaterial.uniforms.materialColor.value.setHex(tint);
+                    underwaterMaterial.uniforms.materialColor.value.setHex(tint);
+                }
+
                 child.castShadow = true;
                 child.receiveShadow = true;
             }
@@ -756,28 +804,20 @@ export class ObjectManager {
         if (!this.previewObject) return;
 
         if (this.selectedShape === 'spotlight') {
-            const spotlight = new THREE.SpotLight(0xffffff, 2.0);
-            spotlight.position.copy(this.previewObject.position);
-            spotlight.rotation.copy(this.previewObject.rotation);
-            spotlight.intensity = this.spotlightIntensity;
-            spotlight.angle = Math.PI / 9;
-            spotlight.penumbra = 0.2;
-            spotlight.decay = 1;
-            spotlight.distance = 0;
+            const objectTypeData = createObjectType(this.selectedShape);
+            const spotlight = objectTypeData.createLight(
+                this.previewObject.position,
+                this.previewObject.rotation,
+                this.spotlightIntensity
+            );
             spotlight.castShadow = true;
 
-            const direction = new THREE.Vector3(0, -1, 0);
-            direction.applyEuler(this.previewObject.rotation);
-            const targetDistance = 10;
-            const target = new THREE.Object3D();
-            target.position.copy(spotlight.position).add(direction.multiplyScalar(targetDistance));
-
-            this.scene.add(target);
-            spotlight.target = target;
+            const target = spotlight.target;
             this.scene.add(spotlight);
-            this.scene.add(spotlight.target);
+            this.scene.add(target);
 
             this.sceneManager.lights.spotlight = spotlight;
+            this.sceneManager.registerLight(spotlight);
 
             // Visual indicator
             const visualCone = new THREE.Mesh(
@@ -792,7 +832,6 @@ export class ObjectManager {
             visualCone.rotation.copy(this.previewObject.rotation);
             this.scene.add(visualCone);
 
-            const objectTypeData = createObjectType(this.selectedShape);
             spotlight.userData.type = 'spotlight';
             spotlight.userData.placedAt = Date.now();
             spotlight.userData.visual = visualCone;
@@ -803,12 +842,47 @@ export class ObjectManager {
             this.placedObjects.push(spotlight);
             this.inventoryManager.recordPlacement(this.selectedShape);
 
-            if (this.onInventoryChange) {
-                this.onInventoryChange();
-            }
+            this.events.emit('objectPlaced', { object: spotlight, type: 'spotlight' });
+            this.events.emit('inventoryChanged');
 
             console.log(`Placed spotlight #${this.placedObjects.length}`);
 
+        } else if (this.selectedShape === 'current') {
+            const objectTypeData = createObjectType(this.selectedShape);
+
+            const volumeMesh = new THREE.Mesh(
+                objectTypeData.createGeometry(),
+                new THREE.MeshBasicMaterial({
+                    color: objectTypeData.color,
+                    transparent: true,
+                    opacity: 0.15,
+                    depthWrite: false
+                })
+            );
+            volumeMesh.position.copy(this.previewObject.position);
+            volumeMesh.rotation.copy(this.previewObject.rotation);
+            volumeMesh.add(objectTypeData.createFlowIndicator());
+
+            // Fish swim through currents, so placement rays pass through too
+            volumeMesh.userData.ignoreRaycast = true;
+
+            const current = objectTypeData.createVolume(volumeMesh.position, volumeMesh.rotation, this.currentStrength);
+
+            volumeMesh.userData.type = 'current';
+            volumeMesh.userData.placedAt = Date.now();
+            volumeMesh.userData.attributes = objectTypeData;
+            volumeMesh.userData.current = current;
+
+            this.scene.add(volumeMesh);
+            this.placedObjects.push(volumeMesh);
+            this.sceneManager.registerCurrent(current);
+            this.inventoryManager.recordPlacement(this.selectedShape);
+
+            this.events.emit('objectPlaced', { object: volumeMesh, type: 'current' });
+            this.events.emit('inventoryChanged');
+
+            console.log(`Placed current #${this.placedObjects.length} (strength ${this.currentStrength.toFixed(2)})`);
+
         } else {
             const objectTypeData = createObjectType(this.selectedShape);
 
@@ -843,14 +917,15 @@ export class ObjectManager {
 
                 this.inventoryManager.recordPlacement(this.selectedShape);
 
-                if (this.onInventoryChange) {
-                    this.onInventoryChange();
-                }
-
                 if (this.selectedShape === 'bait' && this.sceneManager) {
+                    Object.assign(placedObject.userData, objectTypeData.getBaitData());
                     this.sceneManager.registerBait(placedObject);
                 }
 
+                if (this.selectedShape === 'routeMarker') {
+                    this.updateRoute();
+                }
+
                 this.collidables.push({
                     mesh: placedObject,
                     localBBox: placedObject.geometry.boundingBox.clone(),
@@ -859,6 +934,9 @@ export class ObjectManager {
                     needsWorldBBoxUpdate: false
                 });
 
+                this.events.emit('objectPlaced', { object: placedObject, type: this.selectedShape });
+                this.events.emit('inventoryChanged');
+
                 console.log(`Placed ${this.selectedShape} #${this.placedObjects.length}`);
             }
         }
@@ -872,6 +950,43 @@ export class ObjectManager {
         }
     }
 
+    // Route marker positions in placement order
+    getRoutePoints() {
+        return this.placedObjects
+            .filter(obj => obj.userData.type === 'routeMarker')
+            .map(obj => obj.position.clone());
+    }
+
+    // Hands the route to the simulation and redraws the line joining the markers
+    updateRoute() {
+        const points = this.getRoutePoints();
+
+        if (this.sceneManager) {
+            this.sceneManager.setRoute(points);
+        }
+
+        if (this.routeLine) {
+            this.scene.remove(this.routeLine);
+            this.routeLine.geometry.dispose();
+            this.routeLine.material.dispose();
+            this.routeLine = null;
+        }
+
+        if (points.length < 2) return;
+
+        this.routeLine = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineDashedMaterial({
+                color: this.getPlacedColor('routeMarker'),
+                dashSize: 0.5,
+                gapSize: 0.3
+            })
+        );
+        this.routeLine.computeLineDistances();
+        this.routeLine.userData.ignoreRaycast = true;
+        this.scene.add(this.routeLine);
+    }
+
     toggleAllSpotlights() {
         const spotlights = this.placedObjects.filter(obj => obj.userData.type === 'spotlight');
 
@@ -885,6 +1000,7 @@ export class ObjectManager {
             if (spotlight.userData.visual) {
                 spotlight.userData.visual.visible = spotlight.visible;
             }
+            this.sceneManager.updateLight(spotlight);
         });
 
         if (spotlights[0].visible) {
@@ -898,6 +1014,34 @@ export class ObjectManager {
         return true;
     }
 
+    /**
+     * Placed objects as plain data, the `placements` argument of runLevel.
+     * Rocks carry their loaded colliders since Node can't load the FBX boundaries.
+     */
+    exportPlacements() {
+        return this.placedObjects.map(obj => {
+            const placement = {
+                type: obj.userData.type,
+                position: obj.position.toArray(),
+                rotation: [obj.rotation.x, obj.rotation.y, obj.rotation.z]
+            };
+
+            if (obj.userData.type === 'spotlight') {
+                placement.intensity = obj.intensity;
+            }
+
+            if (obj.userData.type === 'current') {
+                placement.strength = obj.userData.current.strength;
+            }
+
+            if (obj.userData.boundaries) {
+                placement.colliders = obj.userData.boundaries.map(data => serializeObstacle(data.obstacle));
+            }
+
+            return placement;
+        });
+    }
+
     clearAll() {
         this.exitBuildMode();
 
@@ -906,6 +1050,14 @@ export class ObjectManager {
                 this.sceneManager.unregisterBait(obj);
             }
 
+            if (obj.userData.type === 'spotlight' && this.sceneManager) {
+                this.sceneManager.unregisterLight(obj);
+            }
+
+            if (obj.userData.type === 'current' && this.sceneManager) {
+                this.sceneManager.unregisterCurrent(obj.userData.current);
+            }
+
             if (obj.userData.boundaries && this.sceneManager) {
                 console.log(`Removing ${obj.userData.boundaries.length} boundary collider(s)...`);
                 this.sceneManager.removeObstacles(obj.userData.boundaries);
@@ -939,11 +1091,13 @@ export class ObjectManager {
             } else {
                 if (obj.geometry) obj.geometry.dispose();
                 if (obj.material) obj.material.dispose();
+                disposeArrows(obj);
             }
         });
 
         this.placedObjects = [];
         this.collidables = [];
+        this.updateRoute();
         this.inventoryManager.resetCounts();
         console.log('All objects cleared, inventory reset');
     }
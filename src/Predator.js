@@ -1,40 +1,67 @@
-import {
-    BOUNDARY_HALF_X,
-    BOUNDARY_MIN_Y,
-    BOUNDARY_MAX_Y,
-    BOUNDARY_HALF_Z,
-    GAME_SCALE,
-} from "./FlockingSystem.js";
+import { GAME_SCALE } from "./FlockingSystem.js";
 
-import * as THREE from 'three';
+import { THREE } from './three.js';
+import { applyTuning } from './Tuning.js';
+import { random } from './Random.js';
+import { worldBounds } from './WorldBounds.js';
+
+// Levels override any of these through LevelConfig's predatorTuning
+export const DEFAULT_PREDATOR_TUNING = {
+    // === AI PARAMETRELERİ ===
+    maxSpeed: 2,                        // balıktan hızlı
+    maxForce: 0.15,
+
+    detectionRadius: 20.0 * GAME_SCALE, // metre
+    captureRadius: 0.6,                 // yakalama mesafesi
+    boundingRadius: 0.5,
+
+    // Obstacle avoidance weight (lower than fish since predator is more aggressive)
+    obstacleAvoidanceWeight: 15.0
+};
 
 export default class Predator {
-    constructor(position, flockingSystem = null) {
+    constructor(position, flockingSystem = null, tuning = {}) {
         this.position = position.clone();
         this.velocity = new THREE.Vector3();
         this.acceleration = new THREE.Vector3();
 
+        // Water velocity from currents, carries the predator like the fish
+        this.flow = new THREE.Vector3();
+
+        // Position at the start of the last fixed step, for interpolated rendering
+        this.previousPosition = this.position.clone();
+        this.mesh = null;
+
         // Reference to flocking system for obstacle avoidance
         this.flockingSystem = flockingSystem;
 
-        // === AI PARAMETRELERİ ===
-        this.maxSpeed = 2;          // balıktan hızlı
-        this.maxForce = 0.15;
+        this.alive = true;
 
-        this.detectionRadius = 20.0 * GAME_SCALE;  // metre
-        this.captureRadius = 0.6;     // yakalama mesafesi
+        // Fish being hunted, null while wandering
+        this.target = null;
 
-        this.wanderAngle = 0;
+        // predatorDied and predatorTargetChanged go out here (set by Simulation)
+        this.events = null;
+
+        // Side chosen to get around the obstacle ahead (set by FlockingSystem)
+        this.avoidanceDirection = new THREE.Vector3();
+        this.avoidanceObstacle = null;
 
-        // Obstacle avoidance weight (lower than fish since predator is more aggressive)
-        this.obstacleAvoidanceWeight = 15.0;
+        applyTuning(this, DEFAULT_PREDATOR_TUNING, tuning, 'predatorTuning');
+
+        this.wanderAngle = 0;
     }
 
 
     // ---------------- UPDATE ----------------
 
     update(deltaTime, fishes) {
+        if (!this.alive) return;
+
+        this.previousPosition.copy(this.position);
+
         let targetFish = this.findClosestFish(fishes);
+        this.setTarget(targetFish);
 
         if (targetFish) {
             // Avlanma
@@ -65,14 +92,18 @@ export default class Predator {
 
         this.position.addScaledVector(this.velocity, deltaTime);
 
+        if (this.flockingSystem) {
+            this.flockingSystem.calculateCurrentFlow(this.position, this.flow);
+            this.position.addScaledVector(this.flow, deltaTime);
+        }
+
         // Clamp predator position to boundaries (same as fish boundaries)
-        this.position.x = Math.max(-BOUNDARY_HALF_X, Math.min(BOUNDARY_HALF_X, this.position.x));
-        this.position.y = Math.max(BOUNDARY_MIN_Y, Math.min(BOUNDARY_MAX_Y, this.position.y));
-        this.position.z = Math.max(-BOUNDARY_HALF_Z, Math.min(BOUNDARY_HALF_Z, this.position.z));
+        worldBounds.clamp(this.position);
 
-        // Obstacle collision correction (safety net)
+        // Obstacle collision correction (safety net), may kill the predator on a spiked rock
         if (this.flockingSystem) {
             this.flockingSystem.correctPredatorObstacleCollisions(this);
+            if (!this.alive) return;
         }
 
         this.acceleration.set(0, 0, 0);
@@ -81,6 +112,11 @@ export default class Predator {
     // ---------------- AI BEHAVIORS ----------------
 
     findClosestFish(fishes) {
+        // Spatial grid lookup when attached to a flocking system
+        if (this.flockingSystem) {
+            return this.flockingSystem.findNearestFish(this.position, this.detectionRadius);
+        }
+
         let closest = null;
         let minDist = Infinity;
 
@@ -110,7 +146,7 @@ export default class Predator {
     }
 
     wander() {
-        this.wanderAngle += (Math.random() - 0.5) * 0.5;
+        this.wanderAngle += (random.next() - 0.5) * 0.5;
 
         const circleCenter = this.velocity.clone();
         if (circleCenter.length() < 0.01) {
@@ -139,11 +175,51 @@ export default class Predator {
 
         const d = this.position.distanceTo(fish.position);
         if (d < this.captureRadius) {
-            fish.die();
+            fish.die('predator');
+        }
+    }
+
+    die() {
+        if (!this.alive) return;
+
+        this.alive = false;
+        if (this.mesh) {
+            this.mesh.visible = false;
+        }
+
+        // Fish stop fleeing from it
+        if (this.flockingSystem) {
+            this.flockingSystem.removePredator(this);
+        }
+
+        console.log('🦈 Predator killed by a spiked rock');
+
+        if (this.events) {
+            this.events.emit('predatorDied', { predator: this });
+        }
+    }
+
+    setTarget(fish) {
+        if (fish === this.target) return;
+
+        this.target = fish;
+        if (this.events) {
+            this.events.emit('predatorTargetChanged', { predator: this, target: fish });
         }
     }
 
     applyForce(force) {
         this.acceleration.add(force);
     }
+
+    syncMesh(alpha = 1) {
+        if (!this.mesh) return;
+
+        this.mesh.position.lerpVectors(this.previousPosition, this.position, alpha);
+
+        if (this.velocity.lengthSq() > 0.0001) {
+            const lookTarget = this.mesh.position.clone().add(this.velocity);
+            this.mesh.lookAt(lookTarget);
+        }
+    }
 }
@@ -0,0 +1,32 @@
+// Seedable PRNG (mulberry32). Every random call in the simulation goes through
+// the shared `random` instance, so a seed plus the same placements replays the same attempt.
+export class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.setSeed(seed);
+    }
+
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Uniform float in [0, 1), drop-in for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + (max - min) * this.next();
+    }
+}
+
+export const random = new SeededRandom();
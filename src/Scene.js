@@ -1,22 +1,18 @@
-import {
-    GAME_SCALE,
-    BOUNDARY_HALF_X,
-    BOUNDARY_MIN_Y,
-    BOUNDARY_MAX_Y,
-    BOUNDARY_HALF_Z,
-} from "./FlockingSystem.js";
+import { GAME_SCALE } from "./FlockingSystem.js";
 
 import * as THREE from 'three';
 import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
 import { FontLoader } from 'three/addons/loaders/FontLoader.js';
 import { TextGeometry } from 'three/addons/geometries/TextGeometry.js';
-import { Fish } from './Fish.js';
-import { FlockingSystem } from './FlockingSystem.js';
 import { GroundedSkybox } from 'three/addons/objects/GroundedSkybox.js';
-import Predator from './Predator.js';
+import { serializeObstacle } from './Simulation.js';
+import { WorkerSimulation } from './WorkerSimulation.js';
+import { getFishSpecies, getGoalZones } from './LevelConfig.js';
+import { worldBounds } from './WorldBounds.js';
+import { EventBus } from './EventBus.js';
 
 export class SceneManager {
-    constructor() {
+    constructor(events = new EventBus()) {
         this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color(0x158DA0); // Deep water color
         this.scene.fog = new THREE.Fog(0x158DA0, 0, 20 * GAME_SCALE);
@@ -28,30 +24,42 @@ export class SceneManager {
         };
 
         this.objects = [];
-        this.fish = [];
-        this.predators = [];
         this.goalZones = [];
         this.spawnZones = [];
         this.predatorSpawnZones = [];
 
-        // Flocking system
-        this.flockingSystem = new FlockingSystem();
+        // Simulation state (fish, predators, flocking), stepped in a worker; this class only adds rendering
+        this.simulation = new WorkerSimulation(events);
+        this.flockingSystem = this.simulation.flockingSystem;
+        this.events = events;
+
+        // Colliders loaded with the level scene, kept for exporting to headless runs
+        this.sceneColliders = [];
 
         this.bait = null;
+        this.goalBaits = [];
         this.skybox = null;
 
-        // Callbacks
-        this.onFishDeath = null;
-        this.onFishReachGoal = null;
-
         // Store FBX models for shader switching
         this.fbxModels = [];
 
+        // Markers floating over leader fish, reused from frame to frame
+        this.leaderMarkers = [];
+
         this.shaderManager = null;
 
         // Debug visualization
         this.debugMeshes = [];
         this.isDebugViewEnabled = false;
+        this.boundaryVisualization = null;
+    }
+
+    get fish() {
+        return this.simulation.fish;
+    }
+
+    get predators() {
+        return this.simulation.predators;
     }
 
     init = async (shaderManager) => {
@@ -222,7 +230,7 @@ export class SceneManager {
         });
     }
 
-    loadFBXBoundaries = async (filePath, position, scale = new THREE.Vector3(0.01, 0.01, 0.01), rotation = new THREE.Euler(0, 0, 0)) => {
+    loadFBXBoundaries = async (filePath, position, scale = new THREE.Vector3(0.01, 0.01, 0.01), rotation = new THREE.Euler(0, 0, 0), lethal = false) => {
         const loader = new FBXLoader();
 
         return new Promise((resolve, reject) => {
@@ -271,7 +279,7 @@ export class SceneManager {
 
                             if (isSphere) {
                                 const radius = boundingSphere.radius * GAME_SCALE;
-                                const data = this.addObstacle(worldPosition, radius, worldScale, worldQuaternion);
+                                const data = this.addObstacle(worldPosition, radius, worldScale, worldQuaternion, lethal);
                                 boundaryData.push(data);
                                 sphereCount++;
                             }
@@ -336,7 +344,8 @@ export class SceneManager {
                                 const radius = boundingSphere.radius * GAME_SCALE;
 
                                 // Add as obstacle with ellipsoid scale and rotation
-                                this.addObstacle(worldPosition, radius, worldScale, worldQuaternion);
+                                const data = this.addObstacle(worldPosition, radius, worldScale, worldQuaternion);
+                                this.sceneColliders.push(data.obstacle);
                                 sphereCount++;
                             }
                         }
@@ -415,13 +424,79 @@ export class SceneManager {
         this.scene.add(ground);
     }
 
+    /**
+     * Sets the level's play volume from levelConfig.bounds (see WorldBounds), loading
+     * { type: 'fbx', path, scale } collider models into a union of their meshes' boxes
+     */
+    loadLevelBounds = async (levelConfig) => {
+        let shape = levelConfig.bounds;
+
+        if (shape && shape.type === 'fbx') {
+            try {
+                shape = await this.loadBoundsFromFBX(shape.path, shape.scale);
+            } catch (error) {
+                console.error(`Error loading bounds ${shape.path}, using the default box:`, error);
+                shape = undefined;
+            }
+        }
+
+        this.simulation.setBounds(shape);
+        this.createBoundaryVisualization();
+    }
+
+    // scale takes model units to scene units before GAME_SCALE, it depends on the export
+    loadBoundsFromFBX = async (filePath, scale) => {
+        if (!(scale > 0)) {
+            throw new Error(`bounds ${filePath} need a positive scale`);
+        }
+
+        const loader = new FBXLoader();
+
+        return new Promise((resolve, reject) => {
+            loader.load(
+                filePath,
+                (fbx) => {
+                    fbx.scale.setScalar(scale * GAME_SCALE);
+                    fbx.updateMatrixWorld(true);
+
+                    const boxes = [];
+                    fbx.traverse((child) => {
+                        if (child.isMesh && child.geometry) {
+                            const box = new THREE.Box3().setFromObject(child);
+                            boxes.push({ min: box.min.toArray(), max: box.max.toArray() });
+                        }
+                    });
+
+                    if (boxes.length === 0) {
+                        reject(new Error('no meshes'));
+                        return;
+                    }
+
+                    console.log(`Bounds loaded: ${filePath} - ${boxes.length} box(es)`);
+                    resolve({ type: 'union', boxes });
+                },
+                (progress) => { },
+                (error) => reject(error)
+            );
+        });
+    }
+
+    /**
+     * Current bounds as plain data, the `bounds` option of runLevel
+     */
+    exportBounds = () => {
+        return worldBounds.toJSON();
+    }
+
     createBoundaryVisualization = () => {
-        const width = BOUNDARY_HALF_X * 2;
-        const height = BOUNDARY_MAX_Y - BOUNDARY_MIN_Y;
-        const depth = BOUNDARY_HALF_Z * 2;
-        const centerY = (BOUNDARY_MIN_Y + BOUNDARY_MAX_Y) / 2;
+        if (this.boundaryVisualization) {
+            this.scene.remove(this.boundaryVisualization);
+            this.boundaryVisualization.traverse((child) => {
+                if (child.isMesh) child.geometry.dispose();
+            });
+            this.debugMeshes = this.debugMeshes.filter(mesh => mesh !== this.boundaryVisualization);
+        }
 
-        const boundaryGeometry = new THREE.BoxGeometry(width, height, depth);
         const boundaryMaterial = new THREE.MeshBasicMaterial({
             color: 0x00ff00,
             wireframe: true,
@@ -429,12 +504,30 @@ export class SceneManager {
             opacity: 0.3
         });
 
-        const boundaryBox = new THREE.Mesh(boundaryGeometry, boundaryMaterial);
-        boundaryBox.position.set(0, centerY, 0);
-        boundaryBox.visible = this.isDebugViewEnabled;
+        const group = new THREE.Group();
+        const bounds = worldBounds.toJSON();
 
-        this.scene.add(boundaryBox);
-        this.debugMeshes.push(boundaryBox);
+        if (bounds.type === 'cylinder') {
+            const height = bounds.maxY - bounds.minY;
+            const geometry = new THREE.CylinderGeometry(bounds.radius, bounds.radius, height, 32, 1, true);
+            const cylinder = new THREE.Mesh(geometry, boundaryMaterial);
+            cylinder.position.set(bounds.center[0], (bounds.minY + bounds.maxY) / 2, bounds.center[2]);
+            group.add(cylinder);
+        } else {
+            const boxes = bounds.type === 'box' ? [bounds] : bounds.boxes;
+            for (const { min, max } of boxes) {
+                const geometry = new THREE.BoxGeometry(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+                const box = new THREE.Mesh(geometry, boundaryMaterial);
+                box.position.set((min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2);
+                group.add(box);
+            }
+        }
+
+        group.visible = this.isDebugViewEnabled;
+
+        this.scene.add(group);
+        this.debugMeshes.push(group);
+        this.boundaryVisualization = group;
     }
 
     createTeamNamesScene = async () => {
@@ -497,32 +590,23 @@ export class SceneManager {
         );
     }
 
-    spawnFishSchool = async (count = 50, spawnPosition = new THREE.Vector3(0, 2, 0), spawnSpread = new THREE.Vector3(5, 2, 5)) => {
+    /**
+     * Spawns one species from getFishSpecies()
+     */
+    spawnSpecies = async (species) => {
         const loader = new FBXLoader();
-        const fishScale = new THREE.Vector3(0.01, 0.01, 0.01);
+        const fishScale = species.modelScale;
 
-        // Load the koi fish model once and clone it for each fish
+        // Load the species model once and clone it for each fish
         return new Promise((resolve, reject) => {
             loader.load(
-                '../assets/models/koifish.fbx',
+                species.model,
                 (fbx) => {
-                    console.log('koifish.fbx model loaded for spawning');
-
-                    for (let i = 0; i < count; i++) {
-                        const fish = new Fish();
+                    console.log(`${species.model} loaded for spawning ${species.name}`);
 
-                        fish.position.set(
-                            spawnPosition.x + (Math.random() - 0.5) * spawnSpread.x,
-                            spawnPosition.y + (Math.random() - 0.5) * spawnSpread.y,
-                            spawnPosition.z + (Math.random() - 0.5) * spawnSpread.z
-                        );
-
-                        fish.velocity.set(
-                            -0.5 + Math.random(),
-                            -0.2 + Math.random() * 0.4,
-                            -0.5 + Math.random()
-                        );
+                    const school = this.simulation.spawnSpecies(species);
 
+                    for (const fish of school) {
                         const fishMesh = fbx.clone();
                         const scaledScale = fishScale.clone().multiplyScalar(GAME_SCALE);
                         fishMesh.scale.copy(scaledScale);
@@ -545,23 +629,14 @@ export class SceneManager {
                         fishMesh.castShadow = true;
                         fish.setMesh(fishMesh);
                         this.scene.add(fishMesh);
-
-                        fish.onDeath = () => {
-                            if (this.onFishDeath) {
-                                this.onFishDeath();
-                            }
-                        };
-
-                        this.flockingSystem.addFish(fish);
-                        this.fish.push(fish);
                     }
 
-                    console.log(`Spawned ${count} fish`);
+                    console.log(`Spawned ${species.count} ${species.name}`);
                     resolve();
                 },
                 (progress) => { },
                 (error) => {
-                    console.error('Error loading koifish.fbx:', error);
+                    console.error(`Error loading ${species.model}:`, error);
                     reject(error);
                 }
             );
@@ -582,10 +657,11 @@ export class SceneManager {
         this.bait.position.copy(position);
         this.scene.add(this.bait);
 
-        this.flockingSystem.addBait(this.bait);
+        this.simulation.addBait(this.bait);
     }
 
-    createGoalBait = (position = new THREE.Vector3(10, 3, 10)) => {
+    // species: ids lured by this bait, null for all
+    createGoalBait = (position = new THREE.Vector3(10, 3, 10), species = null) => {
         const baitGeometry = new THREE.SphereGeometry(0.35, 16, 16);
         const baitMaterial = new THREE.MeshStandardMaterial({
             color: 0xffff00,
@@ -599,29 +675,71 @@ export class SceneManager {
         goalBait.position.copy(position);
         goalBait.userData.isGoalBait = true; // Mark as special goal bait
         goalBait.userData.createdBy = 'SceneManager';
+        goalBait.userData.species = species;
         this.scene.add(goalBait);
 
-        this.flockingSystem.addBait(goalBait);
+        this.simulation.addBait(goalBait);
+        this.goalBaits.push(goalBait);
         return goalBait;
     }
 
+    // One goal bait in every goal zone, luring the species that zone saves
+    createGoalBaits = () => {
+        for (const goalZone of this.goalZones) {
+            this.createGoalBait(goalZone.position, goalZone.species);
+        }
+    }
+
     removeGoalBait = () => {
-        if (this.bait && this.bait.userData.isGoalBait) {
-            this.flockingSystem.removeBait(this.bait);
-            this.scene.remove(this.bait);
-            if (this.bait.geometry) this.bait.geometry.dispose();
-            if (this.bait.material) this.bait.material.dispose();
-            this.bait = null;
+        for (const goalBait of this.goalBaits) {
+            this.simulation.removeBait(goalBait);
+            this.scene.remove(goalBait);
+            if (goalBait.geometry) goalBait.geometry.dispose();
+            if (goalBait.material) goalBait.material.dispose();
         }
+        this.goalBaits = [];
     }
 
 
     registerBait = (baitObject) => {
-        this.flockingSystem.addBait(baitObject);
+        this.simulation.addBait(baitObject);
     }
 
     unregisterBait = (baitObject) => {
-        this.flockingSystem.removeBait(baitObject);
+        this.simulation.removeBait(baitObject);
+    }
+
+    clearBaits = () => {
+        this.simulation.clearBaits();
+    }
+
+    registerLight = (spotlight) => {
+        this.simulation.addLight(spotlight);
+    }
+
+    // After switching a registered spotlight on or off
+    updateLight = (spotlight) => {
+        this.simulation.updateLight(spotlight);
+    }
+
+    unregisterLight = (spotlight) => {
+        this.simulation.removeLight(spotlight);
+    }
+
+    registerCurrent = (current) => {
+        this.simulation.addCurrent(current);
+    }
+
+    unregisterCurrent = (current) => {
+        this.simulation.removeCurrent(current);
+    }
+
+    setRoute = (points) => {
+        this.simulation.setRoute(points);
+    }
+
+    applyFlockingConfig = (config) => {
+        this.simulation.applyFlockingConfig(config);
     }
 
     consumeBait = (baitObject) => {
@@ -636,15 +754,16 @@ export class SceneManager {
         }
     }
 
-    addObstacle = (position, radius = 1.0, scale = new THREE.Vector3(1, 1, 1), rotation = new THREE.Quaternion()) => {
+    addObstacle = (position, radius = 1.0, scale = new THREE.Vector3(1, 1, 1), rotation = new THREE.Quaternion(), lethal = false) => {
         const obstacle = {
             position: position.clone(),
             boundingRadius: radius,
             scale: scale.clone(),
-            rotation: rotation.clone()
+            rotation: rotation.clone(),
+            lethal: lethal // kills fish and predators on contact
         };
 
-        this.flockingSystem.addObstacle(obstacle);
+        this.simulation.addObstacle(obstacle);
 
         // Add wireframe helper for extra visibility
         const wireframeMesh = this.showWireFrameObstacleSpheres(radius, position, scale, rotation);
@@ -671,7 +790,7 @@ export class SceneManager {
 
         for (const data of boundaryData) {
             if (data.obstacle) {
-                this.flockingSystem.removeObstacle(data.obstacle);
+                this.simulation.removeObstacle(data.obstacle);
                 removedCount++;
             }
             if (data.wireframeMesh) {
@@ -689,7 +808,7 @@ export class SceneManager {
         console.log(`Removed ${removedCount} obstacle(s) from flocking system`);
     }
 
-    spawnPredator = async (position = new THREE.Vector3(0, 2, 0)) => {
+    spawnPredator = async (position = new THREE.Vector3(0, 2, 0), predatorTuning = {}) => {
         const loader = new FBXLoader();
         const sharkScale = new THREE.Vector3(0.003, 0.003, 0.0015);
 
@@ -697,7 +816,7 @@ export class SceneManager {
             loader.load(
                 '../assets/models/Shark.fbx',
                 (fbx) => {
-                    const predator = new Predator(position, this.flockingSystem);
+                    const predator = this.simulation.spawnPredator(position, predatorTuning);
 
                     const sharkMesh = fbx.clone();
                     const scaledScale = sharkScale.clone().multiplyScalar(GAME_SCALE);
@@ -723,7 +842,6 @@ export class SceneManager {
                     predator.mesh = sharkMesh;
 
                     this.scene.add(sharkMesh);
-                    this.predators.push(predator);
 
                     console.log('Predator (Shark) spawned');
                     resolve(predator);
@@ -737,7 +855,7 @@ export class SceneManager {
         });
     }
 
-    createGoalZone = (position, radius = 2.5, color = 0x00ff00) => {
+    createGoalZone = (position, radius = 2.5, color = 0x00ff00, species = null) => {
         const geometry = new THREE.SphereGeometry(radius, 32, 32);
         const material = new THREE.MeshBasicMaterial({
             color: color,
@@ -762,48 +880,14 @@ export class SceneManager {
         wireframeMesh.position.copy(position);
         this.scene.add(wireframeMesh);
 
-        const goalZone = {
-            position: position.clone(),
-            radius: radius,
-            mesh: mesh,
-            wireframeMesh: wireframeMesh
-        };
+        const goalZone = this.simulation.addGoalZone(position, radius, species);
+        goalZone.mesh = mesh;
+        goalZone.wireframeMesh = wireframeMesh;
 
         this.goalZones.push(goalZone);
         return goalZone;
     }
 
-    checkFishReachGoal = (onFishReachGoal) => {
-        if (this.goalZones.length === 0) return;
-
-        for (const fish of this.fish) {
-            // Skip fish that are already dead
-            if (!fish.alive) continue;
-
-            for (const goalZone of this.goalZones) {
-                const distance = fish.position.distanceTo(goalZone.position);
-
-                if (distance <= goalZone.radius) {
-                    // Mark fish as having reached goal (before killing it)
-                    fish.reachedGoal = true;
-
-                    // Kill the fish (makes it truly dead, invisible, not targetable)
-                    // This will trigger onDeath callback which decreases fishAlive
-                    fish.die();
-
-                    // Notify game state to increase fishSaved
-                    // GameState will compensate fishAlive by adding 1 back
-                    if (onFishReachGoal) {
-                        onFishReachGoal();
-                    }
-
-                    console.log(`Fish reached goal and saved!`);
-                    break;
-                }
-            }
-        }
-    }
-
     clearGoalZones = () => {
         for (const goalZone of this.goalZones) {
             if (goalZone.mesh) {
@@ -818,6 +902,28 @@ export class SceneManager {
             }
         }
         this.goalZones = [];
+        this.simulation.clearGoalZones();
+    }
+
+    /**
+     * Goal zones, fish spawn zones and predator spawn zones shown while preparing a level
+     */
+    createLevelZones = (levelConfig) => {
+        for (const goal of getGoalZones(levelConfig)) {
+            this.createGoalZone(goal.position, goal.radius, goal.color, goal.species);
+        }
+
+        for (const species of getFishSpecies(levelConfig)) {
+            this.createSpawnZone(species.spawnPosition, species.spawnSpread, 0xff9900);
+        }
+
+        const predatorConfig = levelConfig.predatorConfig;
+        if (predatorConfig && predatorConfig.spawns) {
+            for (const spawn of predatorConfig.spawns) {
+                this.createPredatorSpawnZone(spawn.position);
+            }
+            console.log(`${predatorConfig.spawns.length} predator spawn zone(s) created`);
+        }
     }
 
     createSpawnZone = (position, spread, color = 0xff9900) => {
@@ -952,8 +1058,7 @@ export class SceneManager {
                 if (fish.mesh.material) fish.mesh.material.dispose();
             }
         }
-        this.fish = [];
-        this.flockingSystem.fish = [];
+        this.simulation.clearFish();
     }
 
     clearPredators = () => {
@@ -964,7 +1069,7 @@ export class SceneManager {
                 if (predator.mesh.material) predator.mesh.material.dispose();
             }
         }
-        this.predators = [];
+        this.simulation.clearPredators();
     }
 
     updateShader = (shaderManager) => {
@@ -982,33 +1087,74 @@ export class SceneManager {
         this.fbxModels.push(fbx);
     }
 
-    update = (deltaTime) => {
-
-        this.flockingSystem.update(deltaTime);
-
-        if (this.onFishReachGoal) {
-            this.checkFishReachGoal(this.onFishReachGoal);
-        }
+    /**
+     * Runs `steps` fixed simulation steps, calling onStep after each (see Simulation.advance)
+     */
+    advance = (steps, stepTime, onStep = null) => {
+        this.simulation.advance(steps, stepTime, onStep);
 
         // Animate bait (pulsing effect)
+        const time = Date.now() * 0.001;
+        const scale = 1.0 + Math.sin(time * 3) * 0.2;
         if (this.bait) {
-            const time = Date.now() * 0.001;
-            const scale = 1.0 + Math.sin(time * 3) * 0.2;
             this.bait.scale.setScalar(scale);
         }
+        for (const goalBait of this.goalBaits) {
+            goalBait.scale.setScalar(scale);
+        }
+    }
 
-        this.predators.forEach(predator => {
-            predator.update(deltaTime, this.fish, this.flockingSystem.obstacles);
+    /**
+     * Moves meshes to the simulation state, interpolated between the last two fixed steps
+     * @param {number} alpha - 0 = previous step, 1 = latest step
+     */
+    syncMeshes = (alpha = 1) => {
+        for (const fish of this.fish) {
+            fish.syncMesh(alpha);
+        }
 
-            if (predator.mesh) {
-                predator.mesh.position.copy(predator.position);
+        for (const predator of this.predators) {
+            predator.syncMesh(alpha);
+        }
 
-                if (predator.velocity.lengthSq() > 0.0001) {
-                    const lookTarget = predator.position.clone().add(predator.velocity);
-                    predator.mesh.lookAt(lookTarget);
-                }
+        this.updateLeaderMarkers();
+    }
+
+    // A gold cone above each living leader, so players can see which fish to protect
+    updateLeaderMarkers = () => {
+        let count = 0;
+
+        for (const fish of this.fish) {
+            if (!fish.isLeader || !fish.alive || !fish.mesh) continue;
+
+            if (count === this.leaderMarkers.length) {
+                this.leaderMarkers.push(this.createLeaderMarker());
             }
+
+            const marker = this.leaderMarkers[count++];
+            marker.position.copy(fish.mesh.position);
+            marker.position.y += 0.6;
+            marker.visible = true;
+        }
+
+        for (let i = count; i < this.leaderMarkers.length; i++) {
+            this.leaderMarkers[i].visible = false;
+        }
+    }
+
+    createLeaderMarker = () => {
+        const geometry = new THREE.ConeGeometry(0.12, 0.3, 8);
+        geometry.rotateX(Math.PI); // Point down at the fish
+
+        const material = new THREE.MeshBasicMaterial({
+            color: 0xFFD700,
+            transparent: true,
+            opacity: 0.9
         });
+
+        const marker = new THREE.Mesh(geometry, material);
+        this.scene.add(marker);
+        return marker;
     }
 
     showWireFrameObstacleSpheres(radius, position, scale, rotation) {
@@ -1028,6 +1174,13 @@ export class SceneManager {
         return wireframeMesh;
     }
 
+    /**
+     * Level scene colliders as plain data, the `sceneColliders` option of runLevel
+     */
+    exportSceneColliders = () => {
+        return this.sceneColliders.map(serializeObstacle);
+    }
+
     toggleDebugView = () => {
         this.isDebugViewEnabled = !this.isDebugViewEnabled;
 
@@ -0,0 +1,319 @@
+import { THREE } from './three.js';
+import { FlockingSystem } from './FlockingSystem.js';
+import { Fish } from './Fish.js';
+import Predator from './Predator.js';
+import { random } from './Random.js';
+import { worldBounds } from './WorldBounds.js';
+import { EventBus } from './EventBus.js';
+
+// Obstacles as plain arrays, so level colliders and placements can cross into Node as JSON
+export function serializeObstacle(obstacle) {
+    return {
+        position: obstacle.position.toArray(),
+        radius: obstacle.boundingRadius,
+        scale: obstacle.scale.toArray(),
+        rotation: obstacle.rotation.toArray(),
+        lethal: obstacle.lethal
+    };
+}
+
+export function deserializeObstacle(data) {
+    return {
+        position: new THREE.Vector3().fromArray(data.position),
+        boundingRadius: data.radius,
+        scale: new THREE.Vector3().fromArray(data.scale || [1, 1, 1]),
+        rotation: new THREE.Quaternion().fromArray(data.rotation || [0, 0, 0, 1]),
+        lethal: data.lethal || false
+    };
+}
+
+// Baits, spotlights and currents as plain data, for the simulation worker
+export function serializeBait(bait) {
+    const userData = bait.userData || {};
+    return {
+        position: bait.position.toArray(),
+        userData: {
+            type: userData.type,
+            isGoalBait: userData.isGoalBait || false,
+            species: userData.species || null,
+            bites: userData.bites,
+            biteInterval: userData.biteInterval,
+            attractionRadius: userData.attractionRadius,
+            attractionHalfLife: userData.attractionHalfLife
+        }
+    };
+}
+
+export function deserializeBait(data) {
+    return {
+        position: new THREE.Vector3().fromArray(data.position),
+        userData: data.userData
+    };
+}
+
+export function serializeLight(light) {
+    return {
+        position: light.position.toArray(),
+        target: light.target.position.toArray(),
+        angle: light.angle,
+        penumbra: light.penumbra,
+        decay: light.decay,
+        intensity: light.intensity,
+        visible: light.visible
+    };
+}
+
+// Only the fields FlockingSystem reads from a THREE.SpotLight
+export function deserializeLight(data) {
+    return {
+        position: new THREE.Vector3().fromArray(data.position),
+        target: { position: new THREE.Vector3().fromArray(data.target) },
+        angle: data.angle,
+        penumbra: data.penumbra,
+        decay: data.decay,
+        intensity: data.intensity,
+        visible: data.visible
+    };
+}
+
+export function serializeCurrent(current) {
+    return {
+        position: current.position.toArray(),
+        rotation: current.rotation.toArray(),
+        halfExtents: current.halfExtents.toArray(),
+        strength: current.strength
+    };
+}
+
+export function deserializeCurrent(data) {
+    const rotation = new THREE.Quaternion().fromArray(data.rotation);
+    return {
+        position: new THREE.Vector3().fromArray(data.position),
+        rotation: rotation,
+        inverseRotation: rotation.clone().invert(),
+        halfExtents: new THREE.Vector3().fromArray(data.halfExtents),
+        direction: new THREE.Vector3(0, 0, 1).applyQuaternion(rotation),
+        strength: data.strength
+    };
+}
+
+/**
+ * Simulation state with no rendering attached: the flock, predators and goal zones.
+ * SceneManager wraps it with meshes in the browser; runLevel drives it headless in Node.
+ */
+export class Simulation {
+    constructor(events = new EventBus()) {
+        // Fish, predator and bait events, see EventBus.js
+        this.events = events;
+
+        this.flockingSystem = new FlockingSystem({}, events);
+
+        this.fish = [];
+        this.predators = [];
+        this.goalZones = [];
+    }
+
+    spawnFishSchool(count = 50, spawnPosition = new THREE.Vector3(0, 2, 0), spawnSpread = new THREE.Vector3(5, 2, 5), fishTuning = {}, species = 'koi') {
+        const school = [];
+
+        for (let i = 0; i < count; i++) {
+            const fish = new Fish(fishTuning);
+            fish.species = species;
+            this.addFish(fish);
+
+            fish.position.set(
+                spawnPosition.x + (random.next() - 0.5) * spawnSpread.x,
+                spawnPosition.y + (random.next() - 0.5) * spawnSpread.y,
+                spawnPosition.z + (random.next() - 0.5) * spawnSpread.z
+            );
+
+            fish.velocity.set(
+                -0.5 + random.next(),
+                -0.2 + random.next() * 0.4,
+                -0.5 + random.next()
+            );
+
+            fish.energy = fish.minStartingEnergy + random.next() * (1 - fish.minStartingEnergy);
+
+            fish.previousPosition.copy(fish.position);
+            school.push(fish);
+        }
+
+        return school;
+    }
+
+    addFish(fish) {
+        fish.events = this.events;
+
+        this.flockingSystem.addFish(fish);
+        this.fish.push(fish);
+        return fish;
+    }
+
+    // Species entry from getFishSpecies()
+    spawnSpecies(species) {
+        return this.spawnFishSchool(species.count, species.spawnPosition, species.spawnSpread, species.fishTuning, species.id);
+    }
+
+    spawnPredator(position = new THREE.Vector3(0, 2, 0), predatorTuning = {}) {
+        const predator = new Predator(position, this.flockingSystem, predatorTuning);
+        predator.events = this.events;
+
+        this.predators.push(predator);
+        this.flockingSystem.addPredator(predator);
+        return predator;
+    }
+
+    // species: ids saved by this zone, null for all
+    addGoalZone(position, radius = 2.5, species = null) {
+        const goalZone = {
+            position: position.clone(),
+            radius: radius,
+            species: species
+        };
+
+        this.goalZones.push(goalZone);
+        return goalZone;
+    }
+
+    addObstacle(obstacle) {
+        this.flockingSystem.addObstacle(obstacle);
+        return obstacle;
+    }
+
+    removeObstacle(obstacle) {
+        return this.flockingSystem.removeObstacle(obstacle);
+    }
+
+    addBait(bait) {
+        this.flockingSystem.addBait(bait);
+    }
+
+    removeBait(bait) {
+        this.flockingSystem.removeBait(bait);
+    }
+
+    clearBaits() {
+        this.flockingSystem.clearBaits();
+    }
+
+    addLight(spotlight) {
+        this.flockingSystem.addLight(spotlight);
+    }
+
+    // FlockingSystem reads lights live; WorkerSimulation forwards the change
+    updateLight(spotlight) {
+    }
+
+    removeLight(spotlight) {
+        this.flockingSystem.removeLight(spotlight);
+    }
+
+    addCurrent(current) {
+        this.flockingSystem.addCurrent(current);
+    }
+
+    removeCurrent(current) {
+        this.flockingSystem.removeCurrent(current);
+    }
+
+    setRoute(points) {
+        this.flockingSystem.setRoute(points);
+    }
+
+    /**
+     * Replaces the play volume (see WorldBounds for the shapes); the default tank if omitted
+     */
+    setBounds(shape) {
+        worldBounds.set(shape);
+        this.flockingSystem.updateBounds();
+    }
+
+    applyFlockingConfig(config) {
+        this.flockingSystem.applyConfig(config);
+    }
+
+    /**
+     * Adds a custom steering behavior from a module (see SteeringBehaviors.js). Relative
+     * urls resolve against this file. Resolves to the behavior.
+     */
+    async loadBehavior(url, options = {}) {
+        const module = await import(url);
+        return this.flockingSystem.addBehavior(module.default(options));
+    }
+
+    removeBehavior(name) {
+        return this.flockingSystem.removeBehavior(name);
+    }
+
+    configureBehavior(name, settings) {
+        this.flockingSystem.configureBehavior(name, settings);
+    }
+
+    setBehaviorOrder(names) {
+        this.flockingSystem.setBehaviorOrder(names);
+    }
+
+    clearGoalZones() {
+        this.goalZones = [];
+    }
+
+    clearFish() {
+        this.fish = [];
+        this.flockingSystem.clearFish();
+    }
+
+    clearPredators() {
+        this.predators = [];
+        this.flockingSystem.clearPredators();
+    }
+
+    checkFishReachGoal() {
+        if (this.goalZones.length === 0) return;
+
+        for (const fish of this.fish) {
+            // Skip fish that are already dead
+            if (!fish.alive) continue;
+
+            for (const goalZone of this.goalZones) {
+                if (goalZone.species && !goalZone.species.includes(fish.species)) continue;
+
+                const distance = fish.position.distanceTo(goalZone.position);
+
+                if (distance <= goalZone.radius) {
+                    // Mark fish as having reached goal (before killing it, so it sends no fishDied)
+                    fish.reachedGoal = true;
+
+                    // Kill the fish (makes it truly dead, invisible, not targetable)
+                    fish.die();
+
+                    this.events.emit('fishSaved', { fish });
+
+                    console.log(`Fish reached goal and saved!`);
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Runs `steps` fixed updates, calling onStep after each; onStep returns false to stop early.
+     * WorkerSimulation runs them off the main thread and calls onStep once the results arrive.
+     */
+    advance(steps, stepTime, onStep = null) {
+        for (let i = 0; i < steps; i++) {
+            this.update(stepTime);
+            if (onStep && onStep() === false) return;
+        }
+    }
+
+    update(deltaTime) {
+        this.flockingSystem.update(deltaTime);
+
+        this.checkFishReachGoal();
+
+        for (const predator of this.predators) {
+            predator.update(deltaTime, this.fish);
+        }
+    }
+}
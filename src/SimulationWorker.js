@@ -0,0 +1,279 @@
+import { THREE } from './three.js';
+import {
+    Simulation,
+    deserializeObstacle,
+    deserializeBait,
+    deserializeLight,
+    deserializeCurrent
+} from './Simulation.js';
+import { Fish } from './Fish.js';
+import { random } from './Random.js';
+import { FISH_STRIDE, PREDATOR_STRIDE } from './WorkerSimulation.js';
+
+// Worker side of WorkerSimulation: owns the simulation and steps it on request.
+// Scene objects arrive as plain data keyed by the ids WorkerSimulation gives them.
+
+const simulation = new Simulation();
+const flockingSystem = simulation.flockingSystem;
+
+const obstacles = new Map();
+const baits = new Map();
+const lights = new Map();
+const currents = new Map();
+
+// Bus events of the current step request, with fish, predators and baits as indices and
+// ids, replayed on the main thread's bus
+let stepEvents = [];
+let currentStep = 0;
+
+const events = simulation.events;
+events.on('fishDied', ({ fish, cause }) => {
+    stepEvents.push({ step: currentStep, type: 'fishDied', index: simulation.fish.indexOf(fish), cause });
+});
+events.on('fishSaved', ({ fish }) => {
+    stepEvents.push({ step: currentStep, type: 'fishSaved', index: simulation.fish.indexOf(fish) });
+});
+events.on('predatorDied', ({ predator }) => {
+    stepEvents.push({ step: currentStep, type: 'predatorDied', index: simulation.predators.indexOf(predator) });
+});
+events.on('predatorTargetChanged', ({ predator, target }) => {
+    stepEvents.push({
+        step: currentStep,
+        type: 'predatorTargetChanged',
+        index: simulation.predators.indexOf(predator),
+        target: target ? simulation.fish.indexOf(target) : -1
+    });
+});
+events.on('baitBitten', ({ bait, bitesLeft }) => {
+    stepEvents.push({ step: currentStep, type: 'baitBitten', id: bait.id, bitesLeft });
+});
+events.on('baitConsumed', ({ bait }) => {
+    stepEvents.push({ step: currentStep, type: 'baitConsumed', id: bait.id });
+    baits.delete(bait.id);
+});
+
+function step(data) {
+    if (data.randomState !== undefined) {
+        random.state = data.randomState;
+    }
+
+    stepEvents = [];
+    for (currentStep = 0; currentStep < data.steps; currentStep++) {
+        simulation.update(data.stepTime);
+    }
+
+    const fishBuffer = writeFishState(data.fishBuffer);
+    const predatorBuffer = writePredatorState(data.predatorBuffer);
+
+    self.postMessage({
+        type: 'stepped',
+        generation: data.generation,
+        steps: data.steps,
+        events: stepEvents,
+        metrics: flockingSystem.metrics.toJSON(),
+        fishBuffer,
+        predatorBuffer
+    }, [fishBuffer.buffer, predatorBuffer.buffer]);
+}
+
+// Reuses the buffer the main thread sent back when it is large enough
+function getBuffer(buffer, length) {
+    return buffer && buffer.length >= length ? buffer : new Float32Array(length);
+}
+
+function writeFishState(buffer) {
+    const fishes = simulation.fish;
+    const state = getBuffer(buffer, fishes.length * FISH_STRIDE);
+
+    for (let i = 0; i < fishes.length; i++) {
+        const fish = fishes[i];
+        const offset = i * FISH_STRIDE;
+
+        fish.position.toArray(state, offset);
+        fish.previousPosition.toArray(state, offset + 3);
+        fish.velocity.toArray(state, offset + 6);
+        fish.rotation.toArray(state, offset + 9);
+        fish.previousRotation.toArray(state, offset + 13);
+        state[offset + 17] = fish.energy;
+        state[offset + 18] = fish.isLeader ? 1 : 0;
+    }
+
+    return state;
+}
+
+function writePredatorState(buffer) {
+    const predators = simulation.predators;
+    const state = getBuffer(buffer, predators.length * PREDATOR_STRIDE);
+
+    for (let i = 0; i < predators.length; i++) {
+        const predator = predators[i];
+        const offset = i * PREDATOR_STRIDE;
+
+        predator.position.toArray(state, offset);
+        predator.previousPosition.toArray(state, offset + 3);
+        predator.velocity.toArray(state, offset + 6);
+    }
+
+    return state;
+}
+
+function addFish(data) {
+    for (const state of data.fish) {
+        const fish = new Fish(data.tuning);
+        fish.species = data.species;
+        simulation.addFish(fish);
+
+        fish.position.fromArray(state.position);
+        fish.previousPosition.copy(fish.position);
+        fish.velocity.fromArray(state.velocity);
+        fish.energy = state.energy;
+    }
+}
+
+// Messages run one after another, so a step waits for a behavior module still loading
+let pending = Promise.resolve();
+
+self.onmessage = ({ data }) => {
+    pending = pending
+        .then(() => handleMessage(data))
+        .catch(error => {
+            console.error(`SimulationWorker: "${data.type}" failed`, error);
+
+            // The main thread waits for the reply to every step request
+            if (data.type === 'step') {
+                self.postMessage({ type: 'error', message: error.message });
+            }
+        });
+};
+
+async function handleMessage(data) {
+    switch (data.type) {
+        case 'step':
+            step(data);
+            break;
+
+        case 'applyConfig':
+            simulation.applyFlockingConfig(data.config);
+            break;
+
+        case 'addFish':
+            addFish(data);
+            break;
+
+        case 'addPredator':
+            simulation.spawnPredator(new THREE.Vector3().fromArray(data.position), data.tuning);
+            break;
+
+        case 'clearFish':
+            simulation.clearFish();
+            break;
+
+        case 'clearPredators':
+            simulation.clearPredators();
+            break;
+
+        case 'addGoalZone':
+            simulation.addGoalZone(new THREE.Vector3().fromArray(data.position), data.radius, data.species);
+            break;
+
+        case 'clearGoalZones':
+            simulation.clearGoalZones();
+            break;
+
+        case 'addObstacle': {
+            const obstacle = deserializeObstacle(data.obstacle);
+            obstacles.set(data.id, obstacle);
+            simulation.addObstacle(obstacle);
+            break;
+        }
+
+        case 'removeObstacle':
+            if (obstacles.has(data.id)) {
+                simulation.removeObstacle(obstacles.get(data.id));
+                obstacles.delete(data.id);
+            }
+            break;
+
+        case 'addBait': {
+            const bait = deserializeBait(data.bait);
+            bait.id = data.id;
+            baits.set(data.id, bait);
+            simulation.addBait(bait);
+            break;
+        }
+
+        case 'removeBait':
+            // Already gone if a fish ate it while the message was on its way
+            if (baits.has(data.id)) {
+                simulation.removeBait(baits.get(data.id));
+                baits.delete(data.id);
+            }
+            break;
+
+        case 'clearBaits':
+            simulation.clearBaits();
+            baits.clear();
+            break;
+
+        case 'addLight': {
+            const light = deserializeLight(data.light);
+            lights.set(data.id, light);
+            simulation.addLight(light);
+            break;
+        }
+
+        case 'updateLight':
+            if (lights.has(data.id)) {
+                Object.assign(lights.get(data.id), deserializeLight(data.light));
+            }
+            break;
+
+        case 'removeLight':
+            if (lights.has(data.id)) {
+                simulation.removeLight(lights.get(data.id));
+                lights.delete(data.id);
+            }
+            break;
+
+        case 'addCurrent': {
+            const current = deserializeCurrent(data.current);
+            currents.set(data.id, current);
+            simulation.addCurrent(current);
+            break;
+        }
+
+        case 'removeCurrent':
+            if (currents.has(data.id)) {
+                simulation.removeCurrent(currents.get(data.id));
+                currents.delete(data.id);
+            }
+            break;
+
+        case 'setRoute':
+            simulation.setRoute(data.points.map(point => new THREE.Vector3().fromArray(point)));
+            break;
+
+        case 'setBounds':
+            simulation.setBounds(data.bounds);
+            break;
+
+        case 'loadBehavior':
+            await simulation.loadBehavior(data.url, data.options);
+            break;
+
+        case 'removeBehavior':
+            simulation.removeBehavior(data.name);
+            break;
+
+        case 'configureBehavior':
+            simulation.configureBehavior(data.name, data.settings);
+            break;
+
+        case 'setBehaviorOrder':
+            simulation.setBehaviorOrder(data.names);
+            break;
+
+        default:
+            console.warn(`SimulationWorker: unknown message "${data.type}"`);
+    }
+}
@@ -0,0 +1,224 @@
+import { THREE } from './three.js';
+
+// Uniform grid over the play volume for fixed-radius neighbor queries.
+// Items only need a `position` Vector3; anything outside the bounds lands in the border cells.
+export class SpatialGrid {
+    constructor(cellSize, min, max) {
+        this.min = min.clone();
+        this.max = max.clone();
+
+        this.cells = [];
+        this.occupiedCells = [];
+
+        // Scratch distances for findKNearest, parallel to its result array
+        this._distancesSq = [];
+
+        this.setCellSize(cellSize);
+    }
+
+    setBounds(min, max) {
+        this.min.copy(min);
+        this.max.copy(max);
+        this.setCellSize(this.cellSize);
+    }
+
+    setCellSize(cellSize) {
+        this.cellSize = cellSize;
+        this.inverseCellSize = 1.0 / cellSize;
+
+        this.countX = Math.max(1, Math.ceil((this.max.x - this.min.x) * this.inverseCellSize));
+        this.countY = Math.max(1, Math.ceil((this.max.y - this.min.y) * this.inverseCellSize));
+        this.countZ = Math.max(1, Math.ceil((this.max.z - this.min.z) * this.inverseCellSize));
+
+        const cellCount = this.countX * this.countY * this.countZ;
+        this.cells = new Array(cellCount);
+        for (let i = 0; i < cellCount; i++) {
+            this.cells[i] = [];
+        }
+        this.occupiedCells = [];
+    }
+
+    clear() {
+        for (const cell of this.occupiedCells) {
+            cell.length = 0;
+        }
+        this.occupiedCells.length = 0;
+    }
+
+    rebuild(items, filter = null) {
+        this.clear();
+        for (const item of items) {
+            if (filter && !filter(item)) continue;
+            this.insert(item);
+        }
+    }
+
+    insert(item) {
+        const cell = this.cells[this._cellIndex(
+            this._cellX(item.position.x),
+            this._cellY(item.position.y),
+            this._cellZ(item.position.z)
+        )];
+
+        if (cell.length === 0) this.occupiedCells.push(cell);
+        cell.push(item);
+    }
+
+    /**
+     * Collects every item within `radius` of `position` into `result`
+     */
+    query(position, radius, result = [], exclude = null) {
+        const radiusSq = radius * radius;
+
+        const minX = this._cellX(position.x - radius);
+        const maxX = this._cellX(position.x + radius);
+        const minY = this._cellY(position.y - radius);
+        const maxY = this._cellY(position.y + radius);
+        const minZ = this._cellZ(position.z - radius);
+        const maxZ = this._cellZ(position.z + radius);
+
+        for (let z = minZ; z <= maxZ; z++) {
+            for (let y = minY; y <= maxY; y++) {
+                for (let x = minX; x <= maxX; x++) {
+                    const cell = this.cells[this._cellIndex(x, y, z)];
+
+                    for (const item of cell) {
+                        if (item === exclude) continue;
+                        if (item.position.distanceToSquared(position) <= radiusSq) {
+                            result.push(item);
+                        }
+                    }
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Closest item within `maxRadius`, searched in growing shells of cells so
+     * nearby hits return without touching the rest of the grid
+     */
+    findNearest(position, maxRadius = Infinity, filter = null) {
+        const centerX = this._cellX(position.x);
+        const centerY = this._cellY(position.y);
+        const centerZ = this._cellZ(position.z);
+
+        const maxCount = Math.max(this.countX, this.countY, this.countZ);
+        const maxRing = Math.min(maxCount, Math.ceil(maxRadius * this.inverseCellSize));
+
+        let nearest = null;
+        let nearestDistSq = maxRadius * maxRadius;
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+            const minZ = Math.max(0, centerZ - ring), maxZ = Math.min(this.countZ - 1, centerZ + ring);
+            const minY = Math.max(0, centerY - ring), maxY = Math.min(this.countY - 1, centerY + ring);
+            const minX = Math.max(0, centerX - ring), maxX = Math.min(this.countX - 1, centerX + ring);
+
+            for (let z = minZ; z <= maxZ; z++) {
+                for (let y = minY; y <= maxY; y++) {
+                    for (let x = minX; x <= maxX; x++) {
+                        // Only the outer shell of this ring, inner cells were already visited
+                        const ringDistance = Math.max(
+                            Math.abs(x - centerX),
+                            Math.abs(y - centerY),
+                            Math.abs(z - centerZ)
+                        );
+                        if (ringDistance !== ring) continue;
+
+                        for (const item of this.cells[this._cellIndex(x, y, z)]) {
+                            if (filter && !filter(item)) continue;
+
+                            const distSq = item.position.distanceToSquared(position);
+                            if (distSq < nearestDistSq) {
+                                nearestDistSq = distSq;
+                                nearest = item;
+                            }
+                        }
+                    }
+                }
+            }
+
+            // Anything in the next shell is at least `ring` full cells away
+            const shellDistance = ring * this.cellSize;
+            if (nearest && nearestDistSq <= shellDistance * shellDistance) break;
+        }
+
+        return nearest;
+    }
+
+    /**
+     * Up to `k` closest items within `maxRadius`, nearest first, searched in growing shells like findNearest
+     */
+    findKNearest(position, k, maxRadius = Infinity, result = [], filter = null) {
+        result.length = 0;
+        if (k <= 0) return result;
+
+        const distancesSq = this._distancesSq;
+        distancesSq.length = 0;
+
+        const centerX = this._cellX(position.x);
+        const centerY = this._cellY(position.y);
+        const centerZ = this._cellZ(position.z);
+
+        const maxCount = Math.max(this.countX, this.countY, this.countZ);
+        const maxRing = Math.min(maxCount, Math.ceil(maxRadius * this.inverseCellSize));
+        const maxRadiusSq = maxRadius * maxRadius;
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+            const minZ = Math.max(0, centerZ - ring), maxZ = Math.min(this.countZ - 1, centerZ + ring);
+            const minY = Math.max(0, centerY - ring), maxY = Math.min(this.countY - 1, centerY + ring);
+            const minX = Math.max(0, centerX - ring), maxX = Math.min(this.countX - 1, centerX + ring);
+
+            for (let z = minZ; z <= maxZ; z++) {
+                for (let y = minY; y <= maxY; y++) {
+                    for (let x = minX; x <= maxX; x++) {
+                        const ringDistance = Math.max(
+                            Math.abs(x - centerX),
+                            Math.abs(y - centerY),
+                            Math.abs(z - centerZ)
+                        );
+                        if (ringDistance !== ring) continue;
+
+                        for (const item of this.cells[this._cellIndex(x, y, z)]) {
+                            const distSq = item.position.distanceToSquared(position);
+                            if (distSq > maxRadiusSq) continue;
+                            if (result.length === k && distSq >= distancesSq[k - 1]) continue;
+                            if (filter && !filter(item)) continue;
+
+                            // Insertion into the sorted candidates, dropping the farthest when full
+                            let i = Math.min(result.length, k - 1);
+                            while (i > 0 && distancesSq[i - 1] > distSq) {
+                                result[i] = result[i - 1];
+                                distancesSq[i] = distancesSq[i - 1];
+                                i--;
+                            }
+                            result[i] = item;
+                            distancesSq[i] = distSq;
+                        }
+                    }
+                }
+            }
+
+            const shellDistance = ring * this.cellSize;
+            if (result.length === k && distancesSq[k - 1] <= shellDistance * shellDistance) break;
+        }
+
+        return result;
+    }
+
+    _cellX(x) {
+        return THREE.MathUtils.clamp(Math.floor((x - this.min.x) * this.inverseCellSize), 0, this.countX - 1);
+    }
+
+    _cellY(y) {
+        return THREE.MathUtils.clamp(Math.floor((y - this.min.y) * this.inverseCellSize), 0, this.countY - 1);
+    }
+
+    _cellZ(z) {
+        return THREE.MathUtils.clamp(Math.floor((z - this.min.z) * this.inverseCellSize), 0, this.countZ - 1);
+    }
+
+    _cellIndex(x, y, z) {
+        return (z * this.countY + y) * this.countX + x;
+    }
+}
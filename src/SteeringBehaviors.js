@@ -0,0 +1,111 @@
+/**
+ * Steering behaviors for FlockingSystem's registry. A behavior is an object with:
+ * - name: unique, used by configureBehavior, setBehaviorOrder and flockingConfig
+ * - compute(fish, context): the steering force, or null when it doesn't apply this step.
+ *   Write into context.force to avoid allocating
+ * - weight: scales the force; defaults to 1
+ * - enabled: defaults to true
+ * - getWeightScale(fish, context): optional extra factor for this fish and step
+ *
+ * context holds { flockingSystem, delta, force, followingRoute, nearestBait }, refreshed per fish.
+ * fish.fear and fish.escapeDirection are up to date before any behavior runs.
+ * followingRoute: the fish still has route markers ahead. nearestBait: what it would seek,
+ * null when there's nothing to seek or the goal waits for the route.
+ *
+ * Modules loaded with Simulation.loadBehavior(url) export a default function that takes
+ * options and returns a behavior, so the simulation worker can create its own copy. They
+ * import three from './three.js' like the other simulation modules, not 'three'.
+ */
+
+/**
+ * The built-in behaviors in their default order. Their weights are the flockingConfig
+ * *Weight keys, so setting either one changes both.
+ */
+export function createBuiltInBehaviors(flockingSystem) {
+    return [
+        new BuiltInBehavior(flockingSystem, 'separation', 'separationWeight', {
+            compute: (fish, context) => flockingSystem.calculateSeparation(fish, context.force)
+        }),
+
+        new BuiltInBehavior(flockingSystem, 'alignment', 'alignmentWeight', {
+            compute: (fish, context) => flockingSystem.calculateAlignment(fish, context.force)
+        }),
+
+        new BuiltInBehavior(flockingSystem, 'flee', 'fleeWeight', {
+            compute: (fish, context) => flockingSystem.calculateFlee(fish, context.force)
+        }),
+
+        // Frightened fish scatter, then regroup once the threat is gone
+        new BuiltInBehavior(flockingSystem, 'cohesion', 'cohesionWeight', {
+            compute: (fish, context) => flockingSystem.calculateCohesion(fish, context.force),
+            getWeightScale: (fish) => 1.0 - fish.fear
+        }),
+
+        new BuiltInBehavior(flockingSystem, 'pathFollowing', 'pathFollowWeight', {
+            compute: (fish, context) => {
+                if (!context.followingRoute) return null;
+                return flockingSystem.calculatePathFollowing(fish, context.force);
+            }
+        }),
+
+        new BuiltInBehavior(flockingSystem, 'seek', 'seekWeight', {
+            compute: (fish, context) => {
+                if (!context.nearestBait) return null;
+                return flockingSystem.calculateSeek(fish, context.nearestBait.position, context.force);
+            },
+            getWeightScale: (fish, context) => {
+                const bait = context.nearestBait;
+                if (bait.userData && bait.userData.isGoalBait) {
+                    return fish.isLeader ? flockingSystem.leaderSeekMultiplier : 1.0;
+                }
+
+                let baitWeight = fish.baitPreference * (1.0 + fish.hungerSeekBoost * (1.0 - fish.energy));
+                baitWeight *= flockingSystem.getBaitAttraction(bait);
+                if (fish.isLeader) baitWeight *= flockingSystem.leaderSeekMultiplier;
+                return baitWeight;
+            }
+        }),
+
+        // Nothing to seek, so the school roams instead of drifting into a wall
+        new BuiltInBehavior(flockingSystem, 'wander', 'wanderWeight', {
+            compute: (fish, context) => {
+                if (context.nearestBait || context.followingRoute) return null;
+                return flockingSystem.calculateWander(fish, context.delta, context.force);
+            }
+        }),
+
+        new BuiltInBehavior(flockingSystem, 'lightAvoidance', 'lightAvoidanceWeight', {
+            compute: (fish, context) => {
+                if (flockingSystem.lights.length === 0) return null;
+                return flockingSystem.calculateLightAvoidance(fish, context.force);
+            }
+        }),
+
+        new BuiltInBehavior(flockingSystem, 'obstacleAvoidance', 'obstacleAvoidanceWeight', {
+            compute: (fish, context) => flockingSystem.calculateObstacleAvoidance(fish, context.force)
+        }),
+
+        new BuiltInBehavior(flockingSystem, 'boundaryAvoidance', 'boundaryWeight', {
+            compute: (fish, context) => flockingSystem.calculateBoundaryAvoidance(fish, context.force)
+        })
+    ];
+}
+
+class BuiltInBehavior {
+    constructor(flockingSystem, name, weightKey, { compute, getWeightScale = null }) {
+        this.flockingSystem = flockingSystem;
+        this.name = name;
+        this.weightKey = weightKey;
+        this.enabled = true;
+        this.compute = compute;
+        if (getWeightScale) this.getWeightScale = getWeightScale;
+    }
+
+    get weight() {
+        return this.flockingSystem[this.weightKey];
+    }
+
+    set weight(value) {
+        this.flockingSystem[this.weightKey] = value;
+    }
+}
@@ -0,0 +1,17 @@
+/**
+ * Copies tunable parameters onto `target`: every key of `defaults`, taken from
+ * `overrides` when present. Unknown override keys are reported, not applied,
+ * so a typo in a level config doesn't silently do nothing.
+ */
+export function applyTuning(target, defaults, overrides = {}, label = 'tuning') {
+    for (const [key, defaultValue] of Object.entries(defaults)) {
+        target[key] = overrides[key] !== undefined ? overrides[key] : defaultValue;
+    }
+
+    for (const key of Object.keys(overrides)) {
+        if (!(key in defaults)) {
+            console.warn(`Unknown ${label} key "${key}" ignored`);
+        }
+    }
+    return target;
+}
@@ -19,10 +19,22 @@ export class UIManager {
         this.popupSaved = document.getElementById('popup-saved');
         this.popupSurvival = document.getElementById('popup-survival');
         this.popupRequired = document.getElementById('popup-required');
+        this.popupSeed = document.getElementById('popup-seed');
+        this.popupSpecies = document.getElementById('popup-species');
         this.popupMessage = document.getElementById('popup-message');
         this.popupRestartBtn = document.getElementById('popup-restart');
         this.popupNextBtn = document.getElementById('popup-next');
 
+        this.metricsPanel = document.getElementById('metrics-panel');
+        this.metricsDisplays = {
+            polarization: document.getElementById('metric-polarization'),
+            cohesionRadius: document.getElementById('metric-cohesion'),
+            nearestNeighborDistance: document.getElementById('metric-nearest'),
+            schoolCount: document.getElementById('metric-schools'),
+            meanSpeed: document.getElementById('metric-speed')
+        };
+        this.unsubscribeMetrics = null;
+
         this.inventoryHotbar = document.getElementById('inventory-hotbar');
         this.inventorySlotsContainer = document.getElementById('inventory-slots');
 
@@ -30,8 +42,11 @@ export class UIManager {
             rock1: { name: 'Small Rock', icon: '🪨', keybind: '1' },
             rock2: { name: 'Big Rock', icon: '🗿', keybind: '2' },
             rock3: { name: 'Large Coral', icon: '🪸', keybind: '3' },
+            spikedRock: { name: 'Spiked Rock', icon: '☠️', keybind: '0' },
             bait: { name: 'Bait', icon: '🪝', keybind: '4' },
-            spotlight: { name: 'Spotlight', icon: '💡', keybind: '5' }
+            routeMarker: { name: 'Route Marker', icon: '🚩', keybind: 'M' },
+            spotlight: { name: 'Spotlight', icon: '💡', keybind: '5' },
+            current: { name: 'Current', icon: '🌊', keybind: '9' }
         };
     }
 
@@ -133,6 +148,29 @@ export class UIManager {
         }
     }
 
+    // Listens to the flocking system's metrics only while the panel is open
+    toggleMetrics = (flockingSystem) => {
+        if (this.unsubscribeMetrics) {
+            this.unsubscribeMetrics();
+            this.unsubscribeMetrics = null;
+            this.metricsPanel.classList.add('hidden');
+            return;
+        }
+
+        this.renderMetrics(flockingSystem.metrics);
+        this.unsubscribeMetrics = flockingSystem.subscribeMetrics(this.renderMetrics);
+        this.metricsPanel.classList.remove('hidden');
+    }
+
+    renderMetrics = (metrics) => {
+        const displays = this.metricsDisplays;
+        displays.polarization.textContent = metrics.polarization.toFixed(2);
+        displays.cohesionRadius.textContent = `${metrics.cohesionRadius.toFixed(1)} m`;
+        displays.nearestNeighborDistance.textContent = `${metrics.nearestNeighborDistance.toFixed(2)} m`;
+        displays.schoolCount.textContent = metrics.schoolCount;
+        displays.meanSpeed.textContent = `${metrics.meanSpeed.toFixed(2)} m/s`;
+    }
+
     showGameEndPopup = (gameState, isWin, hasNextLevel = true) => {
         this.gameEndPopup.classList.remove('win', 'lose');
         this.gameEndPopup.classList.add(isWin ? 'win' : 'lose');
@@ -147,9 +185,16 @@ export class UIManager {
             : 0;
         this.popupSurvival.textContent = `${survivalRate}%`;
         this.popupRequired.textContent = `${(gameState.requiredSurvivalPercentage * 100).toFixed(0)}%`;
+        this.popupSeed.textContent = gameState.seed !== null ? gameState.seed : '-';
+        this.renderSpeciesStats(gameState);
+
+        const failedSpecies = gameState.getFailedSpecies();
 
         if (isWin) {
             this.popupMessage.textContent = 'Great job guiding the fish to safety! Ready for the next challenge?';
+        } else if (failedSpecies.length > 0 && gameState.fishSaved / gameState.fishTotal >= gameState.requiredSurvivalPercentage) {
+            const names = failedSpecies.map(stats => `${stats.name} (${(stats.required * 100).toFixed(0)}%)`).join(', ');
+            this.popupMessage.textContent = `Not enough of every species survived. You needed ${names}. Try again!`;
         } else {
             this.popupMessage.textContent = `Not enough fish survived. You needed ${(gameState.requiredSurvivalPercentage * 100).toFixed(0)}% survival rate. Try again!`;
         }
@@ -169,6 +214,34 @@ export class UIManager {
         this.gameEndPopup.classList.remove('hidden');
     }
 
+    // One "saved/total" row per species; nothing for single-species levels
+    renderSpeciesStats = (gameState) => {
+        this.popupSpecies.innerHTML = '';
+
+        const speciesStats = Object.values(gameState.speciesStats);
+        if (speciesStats.length < 2) return;
+
+        for (const stats of speciesStats) {
+            const row = document.createElement('div');
+            row.className = 'stat-row';
+
+            const label = document.createElement('span');
+            label.className = 'stat-label';
+            label.textContent = stats.name;
+            row.appendChild(label);
+
+            const value = document.createElement('span');
+            value.className = 'stat-value';
+            value.textContent = `${stats.saved}/${stats.total}`;
+            if (stats.required !== null) {
+                value.textContent += ` (need ${(stats.required * 100).toFixed(0)}%)`;
+            }
+            row.appendChild(value);
+
+            this.popupSpecies.appendChild(row);
+        }
+    }
+
     hideGameEndPopup = () => {
         this.gameEndPopup.classList.add('hidden');
     }
@@ -0,0 +1,417 @@
+import {
+    Simulation,
+    serializeObstacle,
+    serializeBait,
+    serializeLight,
+    serializeCurrent
+} from './Simulation.js';
+import { random } from './Random.js';
+import { worldBounds } from './WorldBounds.js';
+
+// Layout of the state buffers SimulationWorker sends back, in floats per entity
+export const FISH_STRIDE = 19;     // position, previousPosition, velocity, rotation, previousRotation, energy, isLeader
+export const PREDATOR_STRIDE = 9;  // position, previousPosition, velocity
+
+/**
+ * Simulation stepped in a Web Worker (SimulationWorker.js), so heavy levels don't stall
+ * the camera and UI. Every change is applied to the local copy as well as sent to the
+ * worker; fish and predator state comes back in transferable Float32Arrays, and deaths,
+ * saves and bites of bait are replayed here step by step.
+ *
+ * Modules the worker loads import three through three.js, since workers don't see the
+ * page's import map. Should the worker still fail (no module workers, offline CDN), the
+ * local copy takes over and the simulation runs on the main thread instead.
+ */
+export class WorkerSimulation extends Simulation {
+    constructor(events) {
+        super(events);
+
+        this.worker = null;
+
+        // Scene objects are sent as plain data and referred to by id afterwards
+        this._ids = new Map();
+        this._baitsById = new Map();
+        this._nextId = 1;
+
+        // Bumped when fish or predators are cleared, replies from before are dropped
+        this._generation = 0;
+
+        this._pendingSteps = 0;
+        this._inFlightSteps = 0;
+        this._stepTime = 0;
+        this._onStep = null;
+
+        // Spawning uses the seeded random here; the worker continues from that state
+        this._randomSynced = true;
+
+        // Returned to the worker with the next request and reused
+        this._fishBuffer = null;
+        this._predatorBuffer = null;
+
+        if (typeof Worker === 'undefined') return;
+
+        try {
+            this.worker = new Worker(new URL('./SimulationWorker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (event) => this._onMessage(event.data);
+            this.worker.onerror = (event) => this._fallBackToMainThread(event);
+        } catch (error) {
+            this._fallBackToMainThread(error);
+        }
+    }
+
+    /**
+     * The local copy only holds what the state buffers carry: positions, velocities,
+     * rotations, energy and leaders. Ages, wander points, route progress, avoidance sides,
+     * predator targets and the random state stay as they were here, so the simulation
+     * picks up from the last reply rather than continuing exactly where the worker was.
+     */
+    _fallBackToMainThread(error) {
+        console.error('Simulation worker failed, simulating on the main thread:', error.message || error);
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        // Steps the worker never answered
+        const steps = this._inFlightSteps + this._pendingSteps;
+        this._inFlightSteps = 0;
+        this._pendingSteps = 0;
+
+        if (steps > 0) {
+            super.advance(steps, this._stepTime, this._onStep);
+        }
+    }
+
+    _post(message, transfer = []) {
+        if (this.worker) {
+            this.worker.postMessage(message, transfer);
+        }
+    }
+
+    _register(object) {
+        const id = this._nextId++;
+        this._ids.set(object, id);
+        return id;
+    }
+
+    _unregister(object) {
+        const id = this._ids.get(object);
+        this._ids.delete(object);
+        return id;
+    }
+
+    spawnFishSchool(count, spawnPosition, spawnSpread, fishTuning = {}, species = 'koi') {
+        const school = super.spawnFishSchool(count, spawnPosition, spawnSpread, fishTuning, species);
+
+        this._post({
+            type: 'addFish',
+            fish: school.map(fish => ({
+                position: fish.position.toArray(),
+                velocity: fish.velocity.toArray(),
+                energy: fish.energy
+            })),
+            tuning: fishTuning,
+            species
+        });
+        this._randomSynced = false;
+
+        return school;
+    }
+
+    spawnPredator(position, predatorTuning = {}) {
+        const predator = super.spawnPredator(position, predatorTuning);
+        this._post({ type: 'addPredator', position: predator.position.toArray(), tuning: predatorTuning });
+        return predator;
+    }
+
+    addGoalZone(position, radius = 2.5, species = null) {
+        const goalZone = super.addGoalZone(position, radius, species);
+        this._post({ type: 'addGoalZone', position: position.toArray(), radius, species });
+        return goalZone;
+    }
+
+    clearGoalZones() {
+        super.clearGoalZones();
+        this._post({ type: 'clearGoalZones' });
+    }
+
+    clearFish() {
+        super.clearFish();
+        this._generation++;
+        this._pendingSteps = 0;
+        this._post({ type: 'clearFish' });
+    }
+
+    clearPredators() {
+        super.clearPredators();
+        this._generation++;
+        this._pendingSteps = 0;
+        this._post({ type: 'clearPredators' });
+    }
+
+    addObstacle(obstacle) {
+        super.addObstacle(obstacle);
+        this._post({ type: 'addObstacle', id: this._register(obstacle), obstacle: serializeObstacle(obstacle) });
+        return obstacle;
+    }
+
+    removeObstacle(obstacle) {
+        const removed = super.removeObstacle(obstacle);
+        const id = this._unregister(obstacle);
+        if (id !== undefined) this._post({ type: 'removeObstacle', id });
+        return removed;
+    }
+
+    addBait(bait) {
+        super.addBait(bait);
+        const id = this._register(bait);
+        this._baitsById.set(id, bait);
+        this._post({ type: 'addBait', id, bait: serializeBait(bait) });
+    }
+
+    removeBait(bait) {
+        super.removeBait(bait);
+        const id = this._unregister(bait);
+        if (id === undefined) return;
+
+        this._baitsById.delete(id);
+        this._post({ type: 'removeBait', id });
+    }
+
+    clearBaits() {
+        super.clearBaits();
+        for (const bait of this._baitsById.values()) {
+            this._ids.delete(bait);
+        }
+        this._baitsById.clear();
+        this._post({ type: 'clearBaits' });
+    }
+
+    addLight(spotlight) {
+        super.addLight(spotlight);
+        this._post({ type: 'addLight', id: this._register(spotlight), light: serializeLight(spotlight) });
+    }
+
+    updateLight(spotlight) {
+        const id = this._ids.get(spotlight);
+        if (id !== undefined) this._post({ type: 'updateLight', id, light: serializeLight(spotlight) });
+    }
+
+    removeLight(spotlight) {
+        super.removeLight(spotlight);
+        const id = this._unregister(spotlight);
+        if (id !== undefined) this._post({ type: 'removeLight', id });
+    }
+
+    addCurrent(current) {
+        super.addCurrent(current);
+        this._post({ type: 'addCurrent', id: this._register(current), current: serializeCurrent(current) });
+    }
+
+    removeCurrent(current) {
+        super.removeCurrent(current);
+        const id = this._unregister(current);
+        if (id !== undefined) this._post({ type: 'removeCurrent', id });
+    }
+
+    setRoute(points) {
+        super.setRoute(points);
+        this._post({ type: 'setRoute', points: points.map(point => point.toArray()) });
+    }
+
+    setBounds(shape) {
+        super.setBounds(shape);
+        this._post({ type: 'setBounds', bounds: worldBounds.toJSON() });
+    }
+
+    applyFlockingConfig(config) {
+        super.applyFlockingConfig(config);
+        this._post({ type: 'applyConfig', config });
+    }
+
+    // The worker loads its own copy; steps sent meanwhile wait for it there
+    loadBehavior(url, options = {}) {
+        this._post({ type: 'loadBehavior', url, options });
+        return super.loadBehavior(url, options);
+    }
+
+    removeBehavior(name) {
+        const removed = super.removeBehavior(name);
+        this._post({ type: 'removeBehavior', name });
+        return removed;
+    }
+
+    configureBehavior(name, settings) {
+        super.configureBehavior(name, settings);
+        this._post({ type: 'configureBehavior', name, settings });
+    }
+
+    setBehaviorOrder(names) {
+        super.setBehaviorOrder(names);
+        this._post({ type: 'setBehaviorOrder', names });
+    }
+
+    /**
+     * Queues the steps for the worker. Only one request is in flight at a time, steps asked
+     * for meanwhile go out together with the next one, so the view trails by about a frame.
+     */
+    advance(steps, stepTime, onStep = null) {
+        if (!this.worker) {
+            super.advance(steps, stepTime, onStep);
+            return;
+        }
+
+        this._pendingSteps += steps;
+        this._stepTime = stepTime;
+        this._onStep = onStep;
+        this._requestSteps();
+    }
+
+    update(deltaTime) {
+        if (!this.worker) {
+            super.update(deltaTime);
+            return;
+        }
+
+        this.advance(1, deltaTime, this._onStep);
+    }
+
+    _requestSteps() {
+        if (this._inFlightSteps > 0 || this._pendingSteps === 0) return;
+
+        const message = {
+            type: 'step',
+            steps: this._pendingSteps,
+            stepTime: this._stepTime,
+            generation: this._generation,
+            fishBuffer: this._fishBuffer,
+            predatorBuffer: this._predatorBuffer
+        };
+
+        if (!this._randomSynced) {
+            message.randomState = random.state;
+            this._randomSynced = true;
+        }
+
+        const transfer = [];
+        if (this._fishBuffer) transfer.push(this._fishBuffer.buffer);
+        if (this._predatorBuffer) transfer.push(this._predatorBuffer.buffer);
+        this._fishBuffer = null;
+        this._predatorBuffer = null;
+
+        this._inFlightSteps = this._pendingSteps;
+        this._pendingSteps = 0;
+        this._post(message, transfer);
+    }
+
+    _onMessage(data) {
+        if (data.type === 'error') {
+            this._fallBackToMainThread(new Error(data.message));
+            return;
+        }
+
+        if (data.type !== 'stepped') return;
+
+        this._inFlightSteps = 0;
+        this._fishBuffer = data.fishBuffer;
+        this._predatorBuffer = data.predatorBuffer;
+
+        if (data.generation === this._generation) {
+            this._readState(data.fishBuffer, data.predatorBuffer);
+            this._replaySteps(data.steps, data.events);
+
+            // Only the last step's metrics come back, so subscribers hear once per reply
+            this.flockingSystem.metrics.copy(data.metrics);
+            this.flockingSystem.publishMetrics();
+        }
+
+        this._requestSteps();
+    }
+
+    _readState(fishBuffer, predatorBuffer) {
+        for (let i = 0; i < this.fish.length; i++) {
+            const fish = this.fish[i];
+            const offset = i * FISH_STRIDE;
+
+            fish.position.fromArray(fishBuffer, offset);
+            fish.previousPosition.fromArray(fishBuffer, offset + 3);
+            fish.velocity.fromArray(fishBuffer, offset + 6);
+            fish.rotation.fromArray(fishBuffer, offset + 9);
+            fish.previousRotation.fromArray(fishBuffer, offset + 13);
+            fish.energy = fishBuffer[offset + 17];
+            fish.isLeader = fishBuffer[offset + 18] === 1;
+        }
+
+        for (let i = 0; i < this.predators.length; i++) {
+            const predator = this.predators[i];
+            const offset = i * PREDATOR_STRIDE;
+
+            predator.position.fromArray(predatorBuffer, offset);
+            predator.previousPosition.fromArray(predatorBuffer, offset + 3);
+            predator.velocity.fromArray(predatorBuffer, offset + 6);
+        }
+    }
+
+    // Events in step order, with onStep after each step as if the steps had run here
+    _replaySteps(steps, events) {
+        let next = 0;
+
+        for (let step = 0; step < steps; step++) {
+            while (next < events.length && events[next].step === step) {
+                this._applyEvent(events[next++]);
+            }
+
+            if (this._onStep && this._onStep() === false) {
+                this._pendingSteps = 0;
+                return;
+            }
+        }
+    }
+
+    _applyEvent(event) {
+        switch (event.type) {
+            // Fish and predators emit their own events, as they do when simulated here
+            case 'fishDied':
+                this.fish[event.index].die(event.cause);
+                break;
+
+            case 'fishSaved': {
+                const fish = this.fish[event.index];
+                fish.reachedGoal = true;
+                fish.die();
+                this.events.emit('fishSaved', { fish });
+                break;
+            }
+
+            case 'predatorDied':
+                this.predators[event.index].die();
+                break;
+
+            case 'predatorTargetChanged':
+                this.predators[event.index].setTarget(event.target === -1 ? null : this.fish[event.target]);
+                break;
+
+            case 'baitBitten': {
+                const bait = this._baitsById.get(event.id);
+                if (!bait) break;
+
+                bait.userData.bitesLeft = event.bitesLeft;
+                this.events.emit('baitBitten', { bait, bitesLeft: event.bitesLeft });
+                break;
+            }
+
+            case 'baitConsumed': {
+                const bait = this._baitsById.get(event.id);
+                if (!bait) break;
+
+                super.removeBait(bait);
+                this._ids.delete(bait);
+                this._baitsById.delete(event.id);
+
+                this.events.emit('baitConsumed', { bait });
+                break;
+            }
+        }
+    }
+}
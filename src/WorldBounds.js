@@ -0,0 +1,251 @@
+import { THREE } from './three.js';
+
+// Global configuration
+export const GAME_SCALE = 2;
+export const BOUNDARY_HALF_X = 10 * GAME_SCALE;
+export const BOUNDARY_MIN_Y = 0 * GAME_SCALE;
+export const BOUNDARY_MAX_Y = 5 * GAME_SCALE;
+export const BOUNDARY_HALF_Z = 10 * GAME_SCALE;
+
+// The tank every level used before levels could declare bounds
+export const DEFAULT_BOUNDS = {
+    type: 'box',
+    min: [-BOUNDARY_HALF_X, BOUNDARY_MIN_Y, -BOUNDARY_HALF_Z],
+    max: [BOUNDARY_HALF_X, BOUNDARY_MAX_Y, BOUNDARY_HALF_Z]
+};
+
+const AXES = ['x', 'y', 'z'];
+
+const _probe = new THREE.Vector3();
+const _clamped = new THREE.Vector3();
+const _nearest = new THREE.Vector3();
+
+function toVector(value) {
+    return value.isVector3 ? value.clone() : new THREE.Vector3().fromArray(value);
+}
+
+/**
+ * The play volume of the current level. Fish, predators, the camera, object placement and
+ * the flocking forces all ask it instead of clamping to a fixed box. Shapes, in world units
+ * (arrays or Vector3s):
+ * - { type: 'box', min, max }
+ * - { type: 'cylinder', center, radius, minY, maxY }: vertical, center's y is ignored
+ * - { type: 'union', boxes: [{ min, max }, ...] }: caves and canyons, e.g. loaded from a
+ *   collider FBX by SceneManager.loadLevelBounds
+ */
+export class WorldBounds {
+    constructor(shape = DEFAULT_BOUNDS) {
+        this.boundingBox = new THREE.Box3();
+        this.set(shape);
+    }
+
+    set(shape = DEFAULT_BOUNDS) {
+        this.type = shape.type;
+        this.boxes = [];
+
+        switch (shape.type) {
+            case 'box':
+                this.boxes.push(new THREE.Box3(toVector(shape.min), toVector(shape.max)));
+                break;
+
+            case 'union':
+                for (const box of shape.boxes) {
+                    this.boxes.push(new THREE.Box3(toVector(box.min), toVector(box.max)));
+                }
+                break;
+
+            case 'cylinder':
+                this.center = toVector(shape.center);
+                this.radius = shape.radius;
+                this.minY = shape.minY;
+                this.maxY = shape.maxY;
+                break;
+
+            default:
+                console.warn(`Unknown bounds type "${shape.type}", using the default box`);
+                this.set(DEFAULT_BOUNDS);
+                return;
+        }
+
+        if (this.type === 'cylinder') {
+            this.boundingBox.min.set(this.center.x - this.radius, this.minY, this.center.z - this.radius);
+            this.boundingBox.max.set(this.center.x + this.radius, this.maxY, this.center.z + this.radius);
+        } else {
+            this.boundingBox.makeEmpty();
+            for (const box of this.boxes) {
+                this.boundingBox.union(box);
+            }
+        }
+    }
+
+    // Plain data for the worker, headless runs and exportAttempt
+    toJSON() {
+        if (this.type === 'cylinder') {
+            return {
+                type: 'cylinder',
+                center: this.center.toArray(),
+                radius: this.radius,
+                minY: this.minY,
+                maxY: this.maxY
+            };
+        }
+
+        const boxes = this.boxes.map(box => ({ min: box.min.toArray(), max: box.max.toArray() }));
+        return this.type === 'box' ? { type: 'box', ...boxes[0] } : { type: 'union', boxes };
+    }
+
+    getBoundingBox() {
+        return this.boundingBox;
+    }
+
+    contains(point, margin = 0) {
+        if (this.type === 'cylinder') {
+            const dx = point.x - this.center.x;
+            const dz = point.z - this.center.z;
+            const radius = this.radius - margin;
+            return point.y >= this.minY + margin && point.y <= this.maxY - margin &&
+                dx * dx + dz * dz <= radius * radius;
+        }
+
+        for (const box of this.boxes) {
+            if (this._boxContains(box, point, margin)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Moves point (in place) to the closest position at least `margin` inside the bounds
+     */
+    clamp(point, margin = 0) {
+        if (this.type === 'cylinder') {
+            point.y = Math.max(this.minY + margin, Math.min(this.maxY - margin, point.y));
+
+            const dx = point.x - this.center.x;
+            const dz = point.z - this.center.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            const radius = Math.max(0, this.radius - margin);
+            if (distance > radius) {
+                point.x = this.center.x + dx * radius / distance;
+                point.z = this.center.z + dz * radius / distance;
+            }
+            return point;
+        }
+
+        if (this.boxes.length === 1) {
+            return this._clampToBox(this.boxes[0], point, margin, point);
+        }
+
+        if (this.contains(point, margin)) return point;
+
+        // Outside every box: the nearest clamped point wins
+        let nearestDistSq = Infinity;
+        for (const box of this.boxes) {
+            this._clampToBox(box, _clamped.copy(point), margin, _clamped);
+            const distSq = _clamped.distanceToSquared(point);
+            if (distSq < nearestDistSq) {
+                nearestDistSq = distSq;
+                _nearest.copy(_clamped);
+            }
+        }
+        return point.copy(_nearest);
+    }
+
+    /**
+     * How far the point lies outside the bounds (summed per axis for boxes), 0 inside
+     */
+    distanceOutside(point) {
+        if (this.type === 'cylinder') {
+            const dx = point.x - this.center.x;
+            const dz = point.z - this.center.z;
+            return Math.max(0, Math.sqrt(dx * dx + dz * dz) - this.radius) +
+                Math.max(0, this.minY - point.y) + Math.max(0, point.y - this.maxY);
+        }
+
+        let nearest = Infinity;
+        for (const box of this.boxes) {
+            let outside = 0;
+            for (const axis of AXES) {
+                outside += Math.max(0, box.min[axis] - point[axis]) + Math.max(0, point[axis] - box.max[axis]);
+            }
+            nearest = Math.min(nearest, outside);
+        }
+        return nearest;
+    }
+
+    /**
+     * Push away from every wall closer than `range`, growing as 1/distance.
+     * Walls between overlapping or touching boxes of a union don't push.
+     */
+    calculateAvoidance(point, range, result = new THREE.Vector3()) {
+        result.set(0, 0, 0);
+
+        if (this.type === 'cylinder') {
+            const distFromGround = point.y - this.minY;
+            const distFromCeiling = this.maxY - point.y;
+            if (distFromGround < range && distFromGround > 0) result.y += 1.0 / distFromGround;
+            if (distFromCeiling < range && distFromCeiling > 0) result.y -= 1.0 / distFromCeiling;
+
+            const dx = point.x - this.center.x;
+            const dz = point.z - this.center.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            const distFromWall = this.radius - distance;
+            if (distFromWall < range && distFromWall > 0 && distance > 0) {
+                result.x -= dx / distance / distFromWall;
+                result.z -= dz / distance / distFromWall;
+            }
+            return result;
+        }
+
+        for (const axis of AXES) {
+            const distFromMin = this._distanceToExit(point, axis, -1, range);
+            const distFromMax = this._distanceToExit(point, axis, 1, range);
+
+            if (distFromMin < range && distFromMin > 0) result[axis] += 1.0 / distFromMin;
+            if (distFromMax < range && distFromMax > 0) result[axis] -= 1.0 / distFromMax;
+        }
+        return result;
+    }
+
+    // Distance from point to where a ray along ±axis leaves the union, stopping past maxDistance
+    _distanceToExit(point, axis, sign, maxDistance) {
+        _probe.copy(point);
+        let travelled = 0;
+
+        while (travelled < maxDistance) {
+            // Furthest face along the ray among the boxes holding the probe
+            let exit = null;
+            for (const box of this.boxes) {
+                if (!this._boxContains(box, _probe, 0)) continue;
+
+                const face = sign > 0 ? box.max[axis] : box.min[axis];
+                if (exit === null || face * sign > exit * sign) exit = face;
+            }
+
+            if (exit === null) break;
+
+            const step = (exit - _probe[axis]) * sign;
+            if (step <= 0) break;
+
+            travelled += step;
+            _probe[axis] = exit;
+        }
+
+        return travelled;
+    }
+
+    _boxContains(box, point, margin) {
+        return point.x >= box.min.x + margin && point.x <= box.max.x - margin &&
+            point.y >= box.min.y + margin && point.y <= box.max.y - margin &&
+            point.z >= box.min.z + margin && point.z <= box.max.z - margin;
+    }
+
+    _clampToBox(box, point, margin, result) {
+        result.x = Math.max(box.min.x + margin, Math.min(box.max.x - margin, point.x));
+        result.y = Math.max(box.min.y + margin, Math.min(box.max.y - margin, point.y));
+        result.z = Math.max(box.min.z + margin, Math.min(box.max.z - margin, point.z));
+        return result;
+    }
+}
+
+// Shared like `random`: Simulation.setBounds changes it for the level, everything else reads it
+export const worldBounds = new WorldBounds();
@@ -5,7 +5,8 @@ import { ShaderManager } from './ShaderManager.js';
 import { UIManager } from './UI.js';
 import { GameState } from './GameState.js';
 import { ObjectManager } from './Objects.js';
-import { getLevelConfig, getAllLevelIds } from './LevelConfig.js';
+import { getLevelConfig, getAllLevelIds, getFishSpecies } from './LevelConfig.js';
+import { EventBus } from './EventBus.js';
 
 class FlockingFrenzy {
     constructor() {
@@ -21,15 +22,24 @@ class FlockingFrenzy {
         this.renderer.shadowMap.enabled = true;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
+        // Game and simulation events (see EventBus.js); subscribe here for audio, analytics or replays
+        this.events = new EventBus();
+
         this.camera = new CameraController(this.canvas);
-        this.sceneManager = new SceneManager();
+        this.sceneManager = new SceneManager(this.events);
         this.shaderManager = new ShaderManager();
         this.ui = new UIManager();
-        this.gameState = new GameState();
+        this.gameState = new GameState(this.events);
 
         this.clock = new THREE.Clock();
         this.deltaTime = 0;
 
+        // Simulation advances in fixed steps; rendering interpolates between them
+        this.fixedTimeStep = 1 / 60;
+        this.maxStepsPerFrame = 5;
+        this.accumulator = 0;
+        this.isSpawning = false;
+
         this.currentLevelId = 'level1';
         this.currentLevelConfig = null;
 
@@ -62,7 +72,8 @@ class FlockingFrenzy {
                 this.camera.camera,
                 this.canvas,
                 this.sceneManager,
-                this.shaderManager
+                this.shaderManager,
+                this.events
             );
 
             this.camera.objectManager = this.objectManager;
@@ -71,9 +82,9 @@ class FlockingFrenzy {
             this.objectManager.inventoryManager.setLevel(this.currentLevelId);
             this.ui.initInventory(this.objectManager.inventoryManager);
 
-            this.objectManager.onInventoryChange = () => {
+            this.events.on('inventoryChanged', () => {
                 this.ui.updateInventory();
-            };
+            });
             console.log('Inventory UI initialized');
 
             this.gameState.setInventoryManager(this.objectManager.inventoryManager);
@@ -84,49 +95,25 @@ class FlockingFrenzy {
             this.objectManager.gameState = this.gameState;
 
             this.gameState.onSimulationStart = this.onSimulationStart.bind(this);
-            this.gameState.onLevelEnd = this.onLevelEnd.bind(this);
+            this.events.on('levelEnded', ({ isWin }) => this.onLevelEnd(isWin));
 
             this.setupPopupListeners();
 
-            this.sceneManager.onFishReachGoal = () => {
-                this.gameState.onFishReachedGoal();
-            };
-
-            this.sceneManager.onFishDeath = () => {
-                this.gameState.onFishDeath();
-            };
-
             // Handle bait consumption
-            this.sceneManager.flockingSystem.onBaitConsumed = (baitObject) => {
-                if (baitObject.userData.createdBy === 'SceneManager') {
-                    this.sceneManager.consumeBait(baitObject);
+            this.events.on('baitConsumed', ({ bait }) => {
+                if (bait.userData.createdBy === 'SceneManager') {
+                    this.sceneManager.consumeBait(bait);
                 } else {
-                    this.objectManager.consumeBait(baitObject);
+                    this.objectManager.consumeBait(bait);
                 }
-            };
+            });
+            this.events.on('baitBitten', ({ bait }) => {
+                this.objectManager.biteBait(bait);
+            });
             console.log('Bait consumption system initialized');
 
-            const goalConfig = this.currentLevelConfig.goalConfig;
-            this.sceneManager.createGoalZone(
-                goalConfig.position,
-                goalConfig.radius,
-                goalConfig.color
-            );
-
-            const fishConfig = this.currentLevelConfig.fishConfig;
-            this.sceneManager.createSpawnZone(
-                fishConfig.spawnPosition,
-                fishConfig.spawnSpread,
-                0xff9900
-            );
-
-            const predatorConfig = this.currentLevelConfig.predatorConfig;
-            if (predatorConfig && predatorConfig.spawns) {
-                for (const spawn of predatorConfig.spawns) {
-                    this.sceneManager.createPredatorSpawnZone(spawn.position);
-                }
-                console.log(`${predatorConfig.spawns.length} predator spawn zone(s) created`);
-            }
+            await this.sceneManager.loadLevelBounds(this.currentLevelConfig);
+            this.sceneManager.createLevelZones(this.currentLevelConfig);
 
             this.animate();
             console.log('Render loop started');
@@ -140,27 +127,29 @@ class FlockingFrenzy {
     async onSimulationStart() {
         console.log('Spawning fish and predators...');
 
-        const fishConfig = this.currentLevelConfig.fishConfig;
+        // Hold the simulation until everything exists so every attempt starts from the same state
+        this.isSpawning = true;
+
         const predatorConfig = this.currentLevelConfig.predatorConfig;
 
-        await this.sceneManager.spawnFishSchool(
-            fishConfig.count,
-            fishConfig.spawnPosition,
-            fishConfig.spawnSpread
-        );
+        for (const species of getFishSpecies(this.currentLevelConfig)) {
+            await this.sceneManager.spawnSpecies(species);
+        }
 
         if (predatorConfig && predatorConfig.spawns) {
             for (const spawn of predatorConfig.spawns) {
-                await this.sceneManager.spawnPredator(spawn.position);
+                await this.sceneManager.spawnPredator(spawn.position, this.currentLevelConfig.predatorTuning);
             }
         }
 
-        const goalConfig = this.currentLevelConfig.goalConfig;
-        this.sceneManager.bait = this.sceneManager.createGoalBait(goalConfig.position);
+        this.sceneManager.createGoalBaits();
 
         this.sceneManager.clearSpawnZones();
         this.sceneManager.clearPredatorSpawnZones();
 
+        this.accumulator = 0;
+        this.isSpawning = false;
+
         console.log('Fish and predators spawned - simulation active');
     }
 
@@ -201,7 +190,7 @@ class FlockingFrenzy {
         return allLevels[currentIndex + 1];
     }
 
-    loadNewLevel(levelId) {
+    async loadNewLevel(levelId) {
         const levelConfig = getLevelConfig(levelId);
         if (!levelConfig) {
             console.error(`Level config not found: ${levelId}`);
@@ -211,7 +200,7 @@ class FlockingFrenzy {
         this.currentLevelId = levelId;
         this.currentLevelConfig = levelConfig;
 
-        this.gameState.phase = 'PREPARATION';
+        this.gameState.setPhase('PREPARATION');
         this.gameState.score = this.gameState.startingScore;
         this.gameState.timeRemaining = levelConfig.maxTime;
         this.gameState.timeElapsed = 0;
@@ -227,7 +216,7 @@ class FlockingFrenzy {
             this.sceneManager.clearSpawnZones();
             this.sceneManager.clearPredatorSpawnZones();
             this.sceneManager.removeGoalBait();
-            this.sceneManager.flockingSystem.clearBaits();
+            this.sceneManager.clearBaits();
         }
 
         this.gameState.loadLevel(levelConfig, levelId);
@@ -235,30 +224,23 @@ class FlockingFrenzy {
         this.objectManager.inventoryManager.setLevel(levelId);
         this.ui.renderInventoryHotbar();
 
-        const goalConfig = levelConfig.goalConfig;
-        this.sceneManager.createGoalZone(
-            goalConfig.position,
-            goalConfig.radius,
-            goalConfig.color
-        );
-
-        const fishConfig = levelConfig.fishConfig;
-        this.sceneManager.createSpawnZone(
-            fishConfig.spawnPosition,
-            fishConfig.spawnSpread,
-            0xff9900
-        );
-
-        const predatorConfig = levelConfig.predatorConfig;
-        if (predatorConfig && predatorConfig.spawns) {
-            for (const spawn of predatorConfig.spawns) {
-                this.sceneManager.createPredatorSpawnZone(spawn.position);
-            }
-        }
+        await this.sceneManager.loadLevelBounds(levelConfig);
+        this.sceneManager.createLevelZones(levelConfig);
 
         console.log(`Loaded level: ${levelConfig.name}`);
     }
 
+    // Current level, placements and seed, to replay with runLevel() from Headless.js
+    exportAttempt() {
+        return {
+            levelId: this.gameState.currentLevelId,
+            seed: this.gameState.seed,
+            placements: this.objectManager.exportPlacements(),
+            sceneColliders: this.sceneManager.exportSceneColliders(),
+            bounds: this.sceneManager.exportBounds()
+        };
+    }
+
     setupEventListeners() {
         window.addEventListener('resize', this.onWindowResize);
         window.addEventListener('keydown', this.onKeyDown);
@@ -319,6 +301,18 @@ class FlockingFrenzy {
                 if (this.objectManager) this.objectManager.toggleBuildModeWithShape('spotlight');
                 break;
 
+            case '0':
+                if (this.objectManager) this.objectManager.toggleBuildModeWithShape('spikedRock');
+                break;
+
+            case '9':
+                if (this.objectManager) this.objectManager.toggleBuildModeWithShape('current');
+                break;
+
+            case 'm':
+                if (this.objectManager) this.objectManager.toggleBuildModeWithShape('routeMarker');
+                break;
+
             case '6':
                 this.shaderManager.setActiveShader('phong');
                 this.sceneManager.updateShader(this.shaderManager);
@@ -348,6 +342,13 @@ class FlockingFrenzy {
                     }
                     console.log(`Spotlight intensity: ${this.objectManager.spotlightIntensity.toFixed(1)}`);
                     event.preventDefault();
+                } else if (this.objectManager && this.objectManager.buildMode && this.objectManager.selectedShape === 'current') {
+                    this.objectManager.currentStrength = Math.min(
+                        this.objectManager.maxCurrentStrength,
+                        this.objectManager.currentStrength + this.objectManager.currentStrengthStep
+                    );
+                    console.log(`Current strength: ${this.objectManager.currentStrength.toFixed(2)}`);
+                    event.preventDefault();
                 }
                 break;
 
@@ -362,6 +363,13 @@ class FlockingFrenzy {
                     }
                     console.log(`Spotlight intensity: ${this.objectManager.spotlightIntensity.toFixed(1)}`);
                     event.preventDefault();
+                } else if (this.objectManager && this.objectManager.buildMode && this.objectManager.selectedShape === 'current') {
+                    this.objectManager.currentStrength = Math.max(
+                        this.objectManager.minCurrentStrength,
+                        this.objectManager.currentStrength - this.objectManager.currentStrengthStep
+                    );
+                    console.log(`Current strength: ${this.objectManager.currentStrength.toFixed(2)}`);
+                    event.preventDefault();
                 }
                 break;
 
@@ -375,6 +383,10 @@ class FlockingFrenzy {
                 this.sceneManager.toggleDebugView();
                 break;
 
+            case 'k':
+                this.ui.toggleMetrics(this.sceneManager.flockingSystem);
+                break;
+
             case 'n':
                 if (this.gameState.phase === 'EVALUATION') {
                     const survivalRate = this.gameState.fishSaved / this.gameState.fishTotal;
@@ -398,11 +410,10 @@ class FlockingFrenzy {
     update(deltaTime) {
         this.camera.update(deltaTime);
 
-        if (!this.gameState.paused && this.gameState.phase === 'SIMULATION') {
-            this.sceneManager.update(deltaTime);
+        if (!this.gameState.paused && this.gameState.phase === 'SIMULATION' && !this.isSpawning) {
+            this.stepSimulation(deltaTime);
         }
 
-        this.gameState.update(deltaTime);
         this.ui.update(this.gameState);
 
         if (this.objectManager) {
@@ -416,6 +427,26 @@ class FlockingFrenzy {
         );
     }
 
+    stepSimulation(deltaTime) {
+        this.accumulator += deltaTime;
+
+        const steps = Math.min(Math.floor(this.accumulator / this.fixedTimeStep), this.maxStepsPerFrame);
+        this.accumulator -= steps * this.fixedTimeStep;
+
+        // Too far behind (tab switch, long frame): drop the backlog instead of spiralling
+        if (steps === this.maxStepsPerFrame) {
+            this.accumulator = Math.min(this.accumulator, this.fixedTimeStep);
+        }
+
+        // Game time follows the simulation's steps, which may finish after this frame in the worker
+        this.sceneManager.advance(steps, this.fixedTimeStep, () => {
+            this.gameState.update(this.fixedTimeStep);
+            return this.gameState.phase === 'SIMULATION';
+        });
+
+        this.sceneManager.syncMeshes(this.accumulator / this.fixedTimeStep);
+    }
+
     render() {
         this.renderer.render(this.sceneManager.scene, this.camera.camera);
     }
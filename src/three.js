@@ -0,0 +1,8 @@
+// three for the modules SimulationWorker loads. Browsers don't apply the page's import map
+// inside workers, so there the bare 'three' can't resolve and the same build is loaded by
+// URL; keep it in sync with the import map in index.html. The page and Node use 'three'.
+const THREE_URL = 'https://cdn.jsdelivr.net/npm/three@0.170.0/build/three.module.js';
+
+const inWorker = typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope;
+
+export const THREE = await import(inWorker ? THREE_URL : 'three');